@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+var _ = require('lodash');
+var async = require('async-chainable');
+var fs = require('fs');
+var monoxideAutoIndexer = require('..');
+var path = require('path');
+var program = require('commander');
+var {getIndexId, getIndexStats} = require('../lib/indexes');
+
+program
+	.version(require('../package.json').version)
+	.usage('--uri <uri> --models <dir> <command> [options]')
+	.option('-u, --uri <uri>', 'MongoDB URI to connect to', process.env.MONGO_URI)
+	.option('-m, --models <dir>', 'Directory of Monoxide model files to load')
+	.option('--hit-min <number>', 'The minimum number of hits for an index to be retained when planning / cleaning', parseInt)
+	.option('--redundant', 'Select indexes which are a prefix of another index when planning / cleaning, rather than by hits')
+	.option('--all', 'Consider all indexes when planning / cleaning, not just those created by monoxide-auto-indexer');
+
+
+/**
+* The Monoxide instance the models register with, see `init()`
+* @var {Object}
+*/
+var monoxide;
+
+
+/**
+* Whether a command has been run, see `run()`
+* Commander leaves `program.args` empty when a command option comes before its argument (e.g. `apply --dry-run plan.json`) so this is used to decide whether to show the help instead
+* @var {boolean}
+*/
+var ran = false;
+
+
+/**
+* Connect to the database, load all models and install the plugin
+* @param {function} callback The callback to fire as (err)
+*/
+var init = function(callback) {
+	var monoxidePath;
+
+	async()
+		// Sanity checks {{{
+		.then(function(next) {
+			if (!program.uri) return next('No MongoDB URI specified, use --uri <uri> or set MONGO_URI');
+			if (!program.models) return next('No models directory specified, use --models <dir>');
+			if (!fs.existsSync(program.models)) return next(`Models directory not found: ${program.models}`);
+			next();
+		})
+		// }}}
+		// Use the same Monoxide instance as the models {{{
+		.then(function(next) {
+			// Model files `require('monoxide')` from their own project, which is a different instance to ours if installed separately
+			try {
+				monoxidePath = require.resolve('monoxide', {paths: [path.resolve(program.models)]});
+			} catch (e) {
+				monoxidePath = require.resolve('monoxide');
+			}
+			monoxide = require(monoxidePath);
+			next();
+		})
+		// }}}
+		// Connect {{{
+		.then(function(next) {
+			monoxide.connect(program.uri, next);
+		})
+		// }}}
+		// Load models {{{
+		.then(function(next) {
+			fs.readdirSync(program.models)
+				.filter(file => file.endsWith('.js'))
+				.forEach(file => require(path.resolve(program.models, file)));
+
+			if (_.isEmpty(monoxide.models)) return next(`No models found in ${program.models} - model files must register with the Monoxide module installed for that directory (${monoxidePath})`);
+			next();
+		})
+		// }}}
+		// Install plugin {{{
+		.then(function(next) {
+			monoxide.use(monoxideAutoIndexer(), next);
+		})
+		// }}}
+		.end(callback);
+};
+
+
+/**
+* Return the settings to pass to `cleanIndexes()` based on the command line options
+* @param {Object} [options] Additional options to merge
+* @returns {Object} Settings for `cleanIndexes()`
+*/
+var cleanSettings = function(options) {
+	return _.omitBy(_.assign({
+		hitMin: program.hitMin,
+		redundant: program.redundant,
+		onlyAutoCreated: program.all ? false : undefined,
+		emit: false,
+	}, options), _.isUndefined);
+};
+
+
+/**
+* Run a command, handling connection setup, teardown and errors
+* @param {function} command The command to run as (callback)
+*/
+var run = function(command) {
+	ran = true;
+	async()
+		.then(init)
+		.then(command)
+		.end(function(err) {
+			if (monoxide && monoxide.connection) monoxide.connection.close();
+			if (err) {
+				console.error('Error:', err.toString());
+				process.exit(1);
+			}
+		});
+};
+
+
+// list {{{
+program
+	.command('list')
+	.description('List existing indexes with their $indexStats hits')
+	.action(()=> run(function(next) {
+		async()
+			.map('indexes', monoxide.models, function(next, model) {
+				getIndexStats(model, next);
+			})
+			.then(function(next) {
+				_(this.indexes)
+					.values()
+					.flatten()
+					.forEach(index => console.log(
+						_.padEnd(index.id, 40),
+						_.padEnd(index.name, 40),
+						_.padStart(index.hits, 10),
+						index.since ? new Date(index.since).toISOString() : ''
+					));
+				next();
+			})
+			.end(next);
+	}));
+// }}}
+
+// plan {{{
+program
+	.command('plan')
+	.description('Output a JSON plan of which indexes the cleaner would drop')
+	.action(()=> run(function(next) {
+		monoxide.cleanIndexes(cleanSettings({dryRun: true}), (err, result) => {
+			if (err) return next(err);
+			console.log(JSON.stringify({
+				version: 1,
+				indexes: result.selected.map(index => ({
+					id: index.id,
+					collection: index.model.$collection,
+					name: index.name,
+					key: index.spec,
+					hits: index.hits,
+					reason: index.reason,
+				})),
+			}, null, '\t'));
+			next();
+		});
+	}));
+// }}}
+
+// clean {{{
+program
+	.command('clean')
+	.description('Drop the indexes the cleaner selects')
+	.option('-n, --dry-run', 'Dont actually drop anything, just list what would be dropped')
+	.option('-s, --stage', 'Hide the selected indexes for a trial period before dropping them, run again after the trial to drop or restore them')
+	.option('--trial-period <ms>', 'How long in milliseconds staged indexes stay hidden before being dropped or restored', parseInt)
+	.action(cmd => run(function(next) {
+		monoxide.cleanIndexes(cleanSettings({dryRun: !!cmd.dryRun, stage: !!cmd.stage, trialPeriod: cmd.trialPeriod}), (err, result) => {
+			if (err) return next(err);
+			result.skipped.forEach(index => console.log('Would', index.action, index.id, '-', index.reason));
+			result.hidden.forEach(index => console.log('Hidden until', new Date(index.staged.until).toISOString(), index.id, '-', index.reason));
+			result.staging.forEach(index => console.log('On trial until', new Date(index.staged.until).toISOString(), index.id, '-', index.reason));
+			result.restored.forEach(index => console.log('Restored', index.id, '-', index.staged.regressions.map(r => r.reason).join(', ')));
+			result.dropped.forEach(index => console.log('Dropped', index.id, '-', index.reason));
+			result.failed.forEach(index => console.log('Failed to drop', index.id, '-', index.error.toString()));
+			if (!result.selected.length) console.log('Nothing to clean');
+			next(result.failed.length ? `Failed to drop ${result.failed.length} indexes` : null);
+		});
+	}));
+// }}}
+
+// apply {{{
+program
+	.command('apply <plan>')
+	.description('Drop the indexes listed in a plan file (as created by `plan`)')
+	.option('-n, --dry-run', 'Dont actually drop anything, just list what would be dropped')
+	.action((planFile, cmd) => run(function(next) {
+		var plan;
+		try {
+			plan = JSON.parse(fs.readFileSync(planFile, 'utf-8'));
+		} catch (e) {
+			return next(`Cannot read plan file ${planFile}: ${e.toString()}`);
+		}
+		if (plan.version != 1 || !_.isArray(plan.indexes)) return next(`Unsupported plan file format: ${planFile}`);
+
+		async()
+			.limit(1)
+			.forEach(plan.indexes, function(next, planIndex) {
+				var model = monoxide.models[planIndex.collection];
+				if (!model) return next(`Unknown model "${planIndex.collection}" in plan`);
+
+				model.getIndexes((err, indexes) => {
+					if (err) return next(err);
+					var index = indexes.find(i => i.name == planIndex.name && _.isEqual(i.key, planIndex.key));
+					var id = getIndexId(planIndex.collection, planIndex.key, index);
+
+					if (!index) {
+						console.log('Skipping', id, '- index no longer exists');
+						return next();
+					} else if (cmd.dryRun) {
+						console.log('Would drop', id);
+						return next();
+					}
+
+					model.$mongoModel.dropIndex(index.name, err => {
+						if (err) return next(err);
+						console.log('Dropped', id);
+						next();
+					});
+				});
+			})
+			.end(next);
+	}));
+// }}}
+
+// Unknown commands {{{
+program.on('command:*', ()=> {
+	console.error('Error:', `Unknown command "${program.args.join(' ')}", see --help for a list of commands`);
+	process.exit(1);
+});
+// }}}
+
+program.parse(process.argv);
+
+if (!ran) program.help();
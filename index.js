@@ -2,6 +2,27 @@ var _ = require('lodash');
 var async = require('async-chainable');
 var debug = require('debug')('monoxide-auto-indexer');
 var monoxide = require('monoxide');
+var analyser = require('./lib/analyser');
+var buildQueue = require('./lib/queue');
+var shapeTracker = require('./lib/tracker');
+var indexHistory = require('./lib/history');
+var indexManifest = require('./lib/manifest');
+var indexReport = require('./lib/report');
+var verify = require('./lib/verify');
+var indexStaging = require('./lib/staging');
+var indexProfiler = require('./lib/profiler');
+var pipeline = require('./lib/pipeline');
+var indexScheduler = require('./lib/scheduler');
+var memoryCache = require('./lib/cache/memory');
+var mongoCache = require('./lib/cache/mongo');
+var {getArrayPath, getIndexId, getIndexName, getIndexSpec, getIndexStats, isAutoCreated, isManualIndex, isServedBy, setIndexHidden} = require('./lib/indexes');
+
+
+/**
+* Build queues for each connection
+* @var {WeakMap}
+*/
+var queues = new WeakMap();
 
 
 /**
@@ -10,13 +31,33 @@ var monoxide = require('monoxide');
 * @param {function} [options.modelFilter=()=>true] Function to filter collections / models - by default all are used
 * @param {array|function} [options.indexFilter] Function (or array of functions) filter for indexes, by default this omits only `_id` fields and skips manually specified indexes if `ignoreManualSpec` is true
 * @param {boolean} [options.dryRun=false] Dont actually remove indexes, just report on what would be removed
-* @param {number} [options.hitMin=100] The minimum number of hits for an index to be retained
-* @param {boolean} [options.ignoreErrors=true] Dont return a callback for index removal errors
-* @param {boolean} [options.ignoreManualSpec=true] Dont try to clean indexes where the schema manually specifies that `{index:true}` or some variation thereof
-* @param {function} [finish] Optional callback to call when cleaning completes
+* @param {number} [options.hitMin=100] The minimum number of hits for an index to be retained (or hits per `hitPeriod` if specified)
+* @param {number} [options.hitPeriod=0] If specified, compare `hitMin` against the rate of hits per this many milliseconds over the lifetime of the index rather than the raw counter (e.g. `1000*60*60*24` for hits per day)
+* @param {number} [options.minAge=0] Retain indexes younger than this many milliseconds (determined from `$indexStats` or the persisted history, whichever is older)
+* @param {boolean} [options.history=false] Use the persisted index usage history (see the `statsInterval` plugin option) which survives mongod restarts rather than the raw `$indexStats` counters
+* @param {string} [options.statsCollection='autoIndexerStats'] The collection the usage history is stored in
+* @param {boolean} [options.ignoreErrors=true] Carry on cleaning when an index cannot be removed, the error is recorded in the result `failed` list rather than being returned
+* @param {boolean} [options.ignoreManualSpec=true] Dont try to clean indexes where the schema manually specifies that `{index:true}` or some variation thereof, the whole key must match (see `isManualIndex()`)
+* @param {boolean} [options.onlyAutoCreated=true] Only ever consider indexes created by this plugin (identified by the `namePrefix` of the index name)
+* @param {string} [options.namePrefix='autoIndex_'] The index name prefix used to identify indexes created by this plugin
+* @param {boolean} [options.redundant=false] Instead of selecting indexes by hits, select indexes which are a strict prefix of another index on the same model (and are therefore redundant). Each index is given a `coveredBy` property with the ID of the covering index. Unique and TTL indexes are never redundant
+* @param {Object} [options.verifications] Verification results (see the `verify` plugin option) keyed by index ID, indexes which were found to be ineffective are always selected. These are merged over the results stored in `verificationCollection`
+* @param {string} [options.verificationCollection='autoIndexerVerifications'] The collection the verification results are stored in
+* @param {boolean} [options.emit=true] Fire the `autoIndexer.consider` + `autoIndexer.clean` events
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @param {Date|number} [options.deadline] Stop dropping indexes after this time, indexes are dropped one at a time and any not dropped in time are left for the next run (see the result `deferred` list)
+* @param {boolean} [options.stage=false] Stage removals instead of dropping immediately. Selected indexes are first hidden from the query planner (MongoDB 4.4+), once `trialPeriod` has passed they are dropped if no queries needed them during the trial or unhidden if any did. Staged indexes are always selected until their trial is resolved
+* @param {number} [options.trialPeriod=1000*60*60*24*7] How long in milliseconds a staged index stays hidden before it is dropped or restored
+* @param {string} [options.stagedCollection='autoIndexerStaged'] The collection the staged state is stored in
+* @param {Object} [options.cache] The index cache (see `lib/cache/memory.js`) to reset when a models indexes change
+* @param {Object} [options.monoxide] The Monoxide instance whose models are cleaned, defaults to the one this module requires
+* @param {function} [finish] Optional callback to call as (err, result) when cleaning completes, see the returned promise for the format of `result`
+* @returns {Promise} A promise which resolves with the result object of the form `{considered, filtered, selected, dropped, failed, skipped, deferred, hidden, staging, restored, models}`. Each is an array of indexes except `filtered` which is an object of arrays keyed by the filter which removed them ('onlyAutoCreated', 'indexFilter', 'minAge' and 'hitMin' or 'redundant'), `selected` indexes have a `reason` property, `failed` indexes an `error` property, `skipped` are those not changed due to `dryRun` (with an `action` property of 'drop', 'hide' or 'restore') and `deferred` those not dropped due to `deadline`. When staging `hidden` are the indexes newly hidden, `staging` those still within their trial and `restored` those unhidden due to regressions, staged indexes have a `staged` property of the form `{hidden, until, reason, regressions}`. `models` is the same breakdown keyed by model ID
 *
 * @emits autoIndexer.consider Fired as (indexs) when a list of indexes to consider is available
 * @emits autoIndexer.clean Fired as (index) when an index is cleaned based on the cleaning criteria
+* @emits autoIndexer.hide Fired as (index) when an index is hidden at the start of its trial (if `stage`)
+* @emits autoIndexer.restore Fired as (index) when an index is unhidden after regressions were seen during its trial (if `stage`)
 */
 var cleanIndexes = function(options, finish) {
 	// Argument mangling {{{
@@ -31,47 +72,37 @@ var cleanIndexes = function(options, finish) {
 			index => ! _.isEqual(_.keys(index.spec), ['_id']), // Ignore _id fields
 			index => {
 				if (!settings.ignoreManualSpec) return true; // Manual spec ignore is disabled - assume passthrough
-
-				var indexMeta = _.get(index.meta, index.path);
-				if (!indexMeta) {
-					debug('Cannot find path spec for', index.path, 'in model', index.model.$collection, 'when cleaning indexes, assuming this can be removed');
-					return true;
-				} else if (indexMeta.index) {
-					debug('Filtering out manually indexed path', index.id);
-					return false;
-				} else { // Cannot find a meta spec and its not manually specified, consider this for cleaning
-					return true;
-				}
+				return !isManualIndex(index);
 			},
 		],
 		ignoreErrors: true,
 		ignoreManualSpec: true,
 		dryRun: false,
 		hitMin: 100,
+		onlyAutoCreated: true,
+		namePrefix: 'autoIndex_',
+		redundant: false,
+		hitPeriod: 0,
+		minAge: 0,
+		history: false,
+		statsCollection: 'autoIndexerStats',
+		verifications: {},
+		verificationCollection: 'autoIndexerVerifications',
+		emit: true,
+		now: Date.now,
+		stage: false,
+		trialPeriod: 1000 * 60 * 60 * 24 * 7, // 1 week
+		stagedCollection: 'autoIndexerStaged',
+		monoxide,
 	});
 
-	async()
+	var staging = indexStaging({collection: settings.stagedCollection, now: settings.now});
+
+	var promise = new Promise((resolve, reject) => async()
+		.set('models', _.pickBy(settings.monoxide.models, (model, modelId) => settings.modelFilter(modelId)))
 		// Extract indexes stats from models {{{
-		.map('indexes', monoxide.models, function(next, model, modelId) {
-			if (!settings.modelFilter(modelId)) return next();
-			model.$mongoModel.aggregate({$indexStats: {}}, (err, indexes) => {
-				if (err) return next(err);
-				next(null, indexes.map(i => ({
-					id:
-						modelId
-						+ '.'
-						+ (
-							_.keys(i.key).length == 1
-								? (_.isEqual(_.values(i.key), [-1]) ? '-' : '') + _.keys(i.key)[0]
-								: '{' + _(i.key).map((v, k) => v == 1 ? k : '-' + k).join(',') + '}'
-						),
-					path: _(i.key).keys().first(),
-					model: model,
-					spec: i.key,
-					hits: i.accesses.ops,
-					since: i.accesses.since,
-				})));
-			});
+		.map('indexes', 'models', function(next, model) {
+			getIndexStats(model, next);
 		})
 		// }}}
 		// Flatten indexes {{{
@@ -79,10 +110,67 @@ var cleanIndexes = function(options, finish) {
 			next(null, _(this.indexes)
 				.values()
 				.flatten()
+				.compact()
 				.value()
 			);
 		})
 		// }}}
+		// Glue persisted usage history to the indexes (if settings.history) {{{
+		.then(function(next) {
+			if (!settings.history) return next();
+
+			indexHistory({collection: settings.statsCollection}).load(settings.monoxide.connection.db, (err, history) => {
+				if (err) return next(err);
+				this.indexes.forEach(index => {
+					var doc = history[index.model.$collection + '.' + index.name];
+					if (!doc) return;
+					index.history = doc;
+					index.hits = Math.max(index.hits, doc.total);
+				});
+				next();
+			});
+		})
+		// }}}
+		// Glue staged state to the indexes (if settings.stage) {{{
+		.then(function(next) {
+			if (!settings.stage) return next();
+
+			staging.load(settings.monoxide.connection.db, (err, staged) => {
+				if (err) return next(err);
+
+				this.indexes.forEach(index => {
+					var doc = staged[index.model.$collection + '.' + index.name];
+					if (doc) index.staged = doc;
+				});
+
+				async() // Forget state for staged indexes which no longer exist (e.g. dropped by hand)
+					.forEach(staged, (next, doc, id) => {
+						if (!_.some(this.models, m => m.$collection == doc.collection)) return next(); // Not examining this model
+						if (this.indexes.some(i => i.staged === doc)) return next();
+						if (settings.dryRun) return next(); // Leave for a real run to forget
+						debug('Forgetting staged index', id, 'as it no longer exists');
+						staging.remove(settings.monoxide.connection.db, id, next);
+					})
+					.end(next);
+			});
+		})
+		// }}}
+		// Calculate index age + hit rates {{{
+		.then(function(next) {
+			var now = settings.now();
+
+			this.indexes.forEach(index => {
+				var born = _([index.since, _.get(index, 'history.firstSeen')])
+					.filter()
+					.map(d => new Date(d).getTime())
+					.min();
+
+				index.age = born ? now - born : 0;
+				if (settings.hitPeriod) index.hitRate = index.hits / Math.max(index.age, settings.hitPeriod) * settings.hitPeriod;
+			});
+			next();
+		})
+		// }}}
 		// Extract meta information about model (if settings.ignoreManualSpec) {{{
 		.then(function(next) {
 			if (!settings.ignoreManualSpec) return next();
@@ -112,16 +200,71 @@ var cleanIndexes = function(options, finish) {
 				.end(next);
 		})
 		// }}}
+		// Glue verification results to the indexes {{{
+		.then(function(next) {
+			verify.store({collection: settings.verificationCollection}).load(settings.monoxide.connection.db, (err, stored) => {
+				if (err) return next(err);
+				settings.verifications = _.assign({}, stored, settings.verifications);
+				next();
+			});
+		})
+		.then(function(next) {
+			this.indexes.forEach(index => {
+				if (settings.verifications[index.id]) index.verification = settings.verifications[index.id];
+			});
+			next();
+		})
+		// }}}
+		// Mark indexes which are a prefix of another index (if settings.redundant) {{{
+		.then(function(next) {
+			if (!settings.redundant) return next();
+
+			this.indexes.forEach(index => {
+				if (index.options.unique || _.has(index.options, 'expireAfterSeconds')) return; // Dropping would lose the constraint or expiry which a wider index cannot provide
+
+				var coveredBy = this.indexes.find(other =>
+					other.model === index.model
+					&& _.keys(other.spec).length > _.keys(index.spec).length
+					&& isServedBy(index.spec, index.options || {}, _.assign({key: other.spec}, other.options))
+				);
+				if (coveredBy) index.coveredBy = coveredBy.id;
+			});
+			next();
+		})
+		// }}}
 		// Fire emitter about indexes we found {{{
 		.then(function(next) {
-			monoxide.fire('autoIndexer.consider', next, this.indexes);
+			if (!settings.emit) return next();
+			settings.monoxide.fire('autoIndexer.consider', next, this.indexes);
 		})
 		// }}}
 		// Apply filters {{{
 		.then('indexes', function(next) {
+			this.considered = this.indexes;
+			this.filtered = {onlyAutoCreated: [], indexFilter: [], minAge: [], [settings.redundant ? 'redundant' : 'hitMin']: []};
+
+			/**
+			* Wrap a filter function so that any indexes it rejects are recorded against its name in `this.filtered`
+			* @param {string} name The name of the filter
+			* @param {function} test The filter function, called as (index) which should return whether to keep the index
+			* @returns {function} The wrapped filter function
+			*/
+			var filter = (name, test) => i => {
+				if (test(i)) return true;
+				this.filtered[name].push(i);
+				return false;
+			};
+
 			next(null, this.indexes
+				// Filter by settings.onlyAutoCreated {{{
+				.filter(filter('onlyAutoCreated', i => {
+					if (!settings.onlyAutoCreated || isAutoCreated(i, settings.namePrefix)) return true;
+					debug('Filtering out index not created by monoxide-auto-indexer', i.id);
+					return false;
+				}))
+				// }}}
 				// Filter by settings.indexFilter {{{
-				.filter(i => {
+				.filter(filter('indexFilter', i => {
 					if (settings.indexFilter && _.isFunction(settings.indexFilter)) {
 						return settings.indexFilter.call(i, i);
 					} else if (settings.indexFilter && _.isArray(settings.indexFilter)) {
@@ -129,29 +272,148 @@ var cleanIndexes = function(options, finish) {
 					} else { // No filters - assume true
 						return true;
 					}
-				})
+				}))
 				// }}}
-				// Filter by hits {{{
-				.filter(i => {
-					if (settings.hitMin && i.hits < settings.hitMin) return true;
+				// Filter by age {{{
+				.filter(filter('minAge', i => {
+					if (!settings.minAge || i.age >= settings.minAge) return true;
+					debug('Filtering out index', i.id, 'as it is too young to judge at', i.age, 'ms old');
 					return false;
-				})
+				}))
+				// }}}
+				// Filter by verification, redundancy or hits {{{
+				.filter(filter(settings.redundant ? 'redundant' : 'hitMin', i => {
+					if (i.staged) { // Already on trial - keep until the trial is resolved
+						i.reason = i.staged.reason;
+						return true;
+					} else if (i.verification && !i.verification.effective) {
+						i.reason = `Ineffective when verified - ${i.verification.reason}`;
+						return true;
+					} else if (settings.redundant) {
+						if (!i.coveredBy) return false;
+						i.reason = `Covered by ${i.coveredBy}`;
+						return true;
+					} else if (settings.hitMin && settings.hitPeriod && i.hitRate < settings.hitMin) {
+						i.reason = `Averaging ${_.round(i.hitRate, 2)} hits per ${settings.hitPeriod}ms (minimum ${settings.hitMin})`;
+						return true;
+					} else if (settings.hitMin && !settings.hitPeriod && i.hits < settings.hitMin) {
+						i.reason = `Only ${i.hits} hits (minimum ${settings.hitMin})`;
+						return true;
+					}
+					return false;
+				}))
 				// }}}
 			);
 		})
 		// }}}
 		// Remove the candidate indexes {{{
+		.set('dropped', [])
+		.set('failed', [])
+		.set('skipped', [])
+		.set('deferred', [])
+		.set('hidden', [])
+		.set('staging', [])
+		.set('restored', [])
+		.limit(1)
 		.forEach('indexes', function(next, index) {
-			monoxide.fire('autoIndexer.clean', ()=> {}, index);
-			if (settings.dryRun) return next();
-			index.model.$mongoModel.dropIndex(index.spec, (err) => {
-				if (settings.ignoreErrors) return next();
-				if (err) return next(err);
-				next();
+			if (settings.deadline && settings.now() >= new Date(settings.deadline).getTime()) {
+				debug('Deadline passed - leaving index', index.id, 'for the next run');
+				this.deferred.push(index);
+				return next();
+			}
+
+			var action = settings.stage ? indexStaging.getAction(index.staged, settings.now()) : 'drop';
+			if (action == 'wait') {
+				debug('Index', index.id, 'is hidden on trial until', index.staged.until);
+				this.staging.push(index);
+				return next();
+			}
+
+			if (settings.emit) settings.monoxide.fire({drop: 'autoIndexer.clean', hide: 'autoIndexer.hide', restore: 'autoIndexer.restore'}[action], ()=> {}, index);
+			if (settings.dryRun) {
+				index.action = action;
+				this.skipped.push(index);
+				return next();
+			}
+
+			async()
+				// Apply the action {{{
+				.then(function(next) {
+					switch (action) {
+						case 'drop': return index.model.$mongoModel.dropIndex(index.spec, err => next(err));
+						case 'hide': return setIndexHidden(settings.monoxide.connection.db, index.model, index.name, true, next);
+						case 'restore': return setIndexHidden(settings.monoxide.connection.db, index.model, index.name, false, next);
+					}
+				})
+				// }}}
+				// Record the staged state {{{
+				.then(function(next) {
+					if (action == 'hide') {
+						staging.stage(settings.monoxide.connection.db, index, settings.trialPeriod, (err, staged) => {
+							if (err) return next(err);
+							index.staged = staged;
+							next();
+						});
+					} else if (index.staged) { // Trial resolved
+						staging.remove(settings.monoxide.connection.db, index.staged._id, next);
+					} else {
+						next();
+					}
+				})
+				// }}}
+				// Reset the index cache (if settings.cache) {{{
+				.then(function(next) {
+					if (!settings.cache) return next();
+					settings.cache.reset(index.model.$collection, next);
+				})
+				// }}}
+				// End {{{
+				.end(err => {
+					if (err) {
+						debug('Failed to', action, 'index', index.id, err);
+						index.error = err;
+						this.failed.push(index);
+						return next(settings.ignoreErrors ? null : err);
+					}
+					this[{drop: 'dropped', hide: 'hidden', restore: 'restored'}[action]].push(index);
+					next();
+				});
+				// }}}
+		})
+		// }}}
+		// Build the result {{{
+		.then('result', function(next) {
+			var breakdown = test => ({
+				considered: this.considered.filter(test),
+				filtered: _.mapValues(this.filtered, indexes => indexes.filter(test)),
+				selected: this.indexes.filter(test),
+				dropped: this.dropped.filter(test),
+				failed: this.failed.filter(test),
+				skipped: this.skipped.filter(test),
+				deferred: this.deferred.filter(test),
+				hidden: this.hidden.filter(test),
+				staging: this.staging.filter(test),
+				restored: this.restored.filter(test),
 			});
+
+			next(null, _.assign(breakdown(()=> true), {
+				models: _.mapValues(this.models, model => breakdown(index => index.model === model)),
+			}));
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return reject(err);
+			resolve(this.result);
 		})
 		// }}}
-		.end(finish);
+	);
+
+	if (finish) {
+		promise.then(result => finish(null, result), finish); // Also handles the rejection so callback users dont see unhandled rejections
+	}
+
+	return promise;
 };
 
 
@@ -163,12 +425,50 @@ var cleanIndexes = function(options, finish) {
 * @param {number} [options.indexThrottle=1000*60] How often in milliseconds to throttle index queries
 * @param {boolean} [options.indexResetOnBuild=true] Whether to reset the index cache when building a new index
 * @param {boolean} [options.indexCreateErrors=false] Pass on index creation errors to the intial query handler, if false creation errors are ignored
-* @param {boolean} [options.sortIndexes=false] Sort the created indexes alphabetically, this is easier to read but has a slight performance hit
+* @param {boolean} [options.sortIndexes=false] Sort the created indexes alphabetically, this is easier to read but has a slight performance hit. When using `compoundIndexes` only the equality and range groups are sorted
+* @param {boolean} [options.compoundIndexes=true] Build one compound index per query following the Equality-Sort-Range rule, if false separate query and sort indexes are created
+* @param {boolean} [options.background=true] Build indexes in a background queue rather than waiting for them to complete before running the query
+* @param {number} [options.buildConcurrency=1] How many indexes to build at once per connection
+* @param {number} [options.partialFilters=0] If set, fields which have used the same value for at least this many queries of a shape are moved into the `partialFilterExpression` of the index (e.g. `{deleted: false}`), 0 disables
+* @param {string} [options.namePrefix='autoIndex_'] Prefix to give the names of indexes created by this plugin, this is used by `cleanIndexes()` + eviction to identify them
+* @param {number} [options.statsInterval=0] How often in milliseconds to snapshot `$indexStats` into the usage history collection so that hit counts survive mongod restarts, 0 disables. When enabled `cleanIndexes()` uses the history by default
+* @param {string} [options.statsCollection='autoIndexerStats'] The collection to store usage history within
+* @param {string} [options.stagedCollection='autoIndexerStaged'] The collection to store the state of indexes staged for removal within (see the `stage` option of `cleanIndexes()`)
+* @param {number} [options.regressionMs=100] Queries with a known duration (i.e. from the profiler) taking at least this many milliseconds are recorded as regressions against hidden indexes on the fields they use, 0 disables. Queries which need a hidden index are always recorded
+* @param {number|Object|function} [options.maxIndexes=64] The maximum number of indexes (including `_id`) per model. Can be a number, an object of the form `{modelId: max}` or a function called as `(modelId)`. Falsy values disable the budget
+* @param {string} [options.budgetMode='refuse'] What to do when a new index would exceed `maxIndexes`. 'refuse' does not build the new index, 'evict' drops the least used auto-created index (by `$indexStats` hits) to make room
+* @param {number} [options.shapeThreshold=1] How many times a query shape needs to be seen within `shapeWindow` before its indexes are built
+* @param {number} [options.shapeWindow=1000*60*60] The sliding time window in milliseconds to count query shapes within
+* @param {string|Object} [options.cache='memory'] Where to cache the known indexes of each model (for `indexThrottle`) and hold build leases. 'memory' caches within this process, 'mongo' shares between all processes using the same database (see `lib/cache/mongo.js`) or pass a custom adapter object (see `lib/cache/memory.js` for the interface)
+* @param {string} [options.cacheCollection='autoIndexerCache'] The collection to store the cache within when using the 'mongo' cache
+* @param {number} [options.buildLease=1000*60*10] How long in milliseconds a build lease is held before it is assumed the builder has died
+* @param {Object} [options.schedule] Run maintenance within cron-style windows (see `lib/scheduler.js`), if omitted no maintenance is scheduled
+* @param {array} options.schedule.windows Array of windows, each a cron expression for the start time (e.g. `'0 2 * * *'` for 2am daily) or an object of the form `{cron, duration}`
+* @param {number} [options.schedule.duration=1000*60*60] The default duration of each window in milliseconds
+* @param {boolean|Object} [options.schedule.clean=true] Run `cleanIndexes()` at the start of each window, if an object it is used as the cleaner settings. Any indexes not dropped by the end of the window are left for the next run
+* @param {boolean} [options.schedule.builds=false] Defer all index builds to the window, outside of the window builds are queued but not run
+* @param {number} [options.schedule.interval=1000*60] How often in milliseconds to check whether a window has opened or closed
+* @param {function} [options.schedule.now=Date.now] Function to return the current time in milliseconds
+* @param {boolean} [options.verify=false] Verify each new index by running `explain('executionStats')` for the triggering query before and after building it, indexes which are not used by the winning plan are never rebuilt. Query shapes with multiple `$or` branches are not verified
+* @param {string} [options.verifyAction='drop'] What to do with an index which fails verification. 'drop' drops it immediately, 'mark' leaves it in place for `cleanIndexes()` to remove
+* @param {string} [options.verificationCollection='autoIndexerVerifications'] The collection to store verification results within so they survive restarts
+* @param {array} [options.indexClasses=['equality','set','range','geo','text']] Which classes of query field (see `lib/analyser.js`) to index. Equality fields lead the index, 'geo' fields get their own '2dsphere' index, `$text` searches get a text index and all other classes are placed after the sort keys
+* @param {boolean|Object} [options.profiler=false] Also learn query shapes from the MongoDB profiler (`system.profile`) so queries which do not go through Monoxide are indexed. Profiling must be enabled on the database. If an object it is used as the profiler settings
+* @param {number} [options.profiler.interval=1000*60] How often in milliseconds to read new profiler entries
+* @param {number} [options.profiler.batch=1000] The maximum number of profiler entries to read at once
+* @param {number} [options.profiler.slowMs=0] Only ingest queries which took at least this many milliseconds
+* @param {Date} [options.profiler.since] Only ingest entries after this time, defaults to when the plugin was installed
+* @param {boolean} [options.refIndexes=false] Index the reference fields of each model (fields with a `ref` in the schema) as soon as the model is registered, rather than waiting for the first back-reference query. Off by default as this indexes references which may never be looked up in reverse. Requires an open connection when the plugin is installed or the model is created
+* @param {Object} [options.operations] Which Monoxide operations to index the filters of, an object of the form `{operation: boolean}`. Operations are 'find', 'count', 'distinct', 'update', 'delete' and 'aggregate', all default to true. Populations and reference indexes are 'find' operations, profiled queries use the operation of the profiled command
+* @param {Object|function} [options.textWeights] The weights of the text index to create for `$text` searches. Can be an object of the form `{modelId: {field: weight}}` or a function called as `(modelId)`, models without weights get a wildcard text index on all string fields
 * @returns {function} Monoxide compatible plugin function
 *
-* @emits autoIndexer.query Fired as (indexes) whenever a query is initiated from a model and the indexable fields have been extracted
-* @emits autoIndexer.build Fired as (model, index, mongoSpec) whenever an index is about to be created
-* @emits autoIndexer.postBuild Fired as (model, index, mongoSpec, err) whenever an index has been created
+* @emits autoIndexer.query Fired as (indexes, analysis) whenever a query is initiated from a model (or ingested from the profiler) and the indexable fields have been extracted, `analysis` also contains the shape counters (`shape`, `hits`, `threshold`, `promoted`) the `operation` ('find', 'count', 'distinct', 'update', 'delete' or 'aggregate') and the `source` of the query ('hook', 'aggregate', 'populate', 'ref' or 'profiler', aggregation queries also have the pipeline `stage` they came from, populate + ref queries the `path` and profiled queries `millis`). Join keys (`$lookup`, populate, ref and back-reference queries) are marked with `join` and promoted regardless of `shapeThreshold`
+* @emits autoIndexer.build Fired as (model, index, mongoSpec, options) whenever an index is about to be created
+* @emits autoIndexer.postBuild Fired as (model, index, mongoSpec, err) whenever an index has been created (or refused due to the index budget or covering multiple arrays)
+* @emits autoIndexer.evict Fired as (model, index, mongoSpec) whenever an existing index is dropped to stay within `maxIndexes`
+* @emits autoIndexer.schedule Fired on Monoxide as (run) at the end of each maintenance window, run is of the form `{window, started, finished, cleaned, pending, err}` where `cleaned` is the array of indexes cleaned and `pending` is the number of builds still waiting
+* @emits autoIndexer.verify Fired as (model, index, mongoSpec, verification) whenever a new index has been verified (see `lib/verify.js`)
 */
 module.exports = function(options) {
 	var settings = _.defaults(options, {
@@ -178,142 +478,1134 @@ module.exports = function(options) {
 		indexResetOnBuild: true,
 		ignoreCreateErrors: false,
 		sortIndexes: false,
+		compoundIndexes: true,
+		indexClasses: ['equality', 'set', 'range', 'geo', 'text'],
+		background: true,
+		buildConcurrency: 1,
+		partialFilters: 0,
+		namePrefix: 'autoIndex_',
+		statsInterval: 0,
+		statsCollection: 'autoIndexerStats',
+		stagedCollection: 'autoIndexerStaged',
+		regressionMs: 100,
+		maxIndexes: 64,
+		budgetMode: 'refuse',
+		shapeThreshold: 1,
+		shapeWindow: 1000 * 60 * 60, // 1h
+		verify: false,
+		verifyAction: 'drop',
+		verificationCollection: 'autoIndexerVerifications',
+		cache: 'memory',
+		cacheCollection: 'autoIndexerCache',
+		buildLease: 1000 * 60 * 10, // 10m
+		profiler: false,
+		refIndexes: false,
+		operations: {},
+	});
+
+	settings.operations = _.defaults({}, settings.operations, {
+		find: true,
+		count: true,
+		distinct: true,
+		update: true,
+		delete: true,
+		aggregate: true,
+	});
+
+	var history = indexHistory({collection: settings.statsCollection});
+	var staging = indexStaging({collection: settings.stagedCollection});
+	var regressionsSeen = {}; // `${indexId}:${shape}` => Time the regression was last recorded
+	var regressionsSwept = 0; // Time `regressionsSeen` was last pruned
+	var statsTimer;
+
+	var verificationStore = verify.store({collection: settings.verificationCollection});
+	var verifications = {}; // Index ID => Verification result (see `lib/verify.js`)
+	var verificationsLoaded = false; // Whether the stored results have been merged into `verifications`
+
+	var tracker = shapeTracker({
+		window: settings.shapeWindow,
+		threshold: settings.shapeThreshold,
 	});
 
 	return function(finish, monoxide) {
-		// Glue index cleaner to main Monoxide model
-		monoxide.cleanIndexes = cleanIndexes;
-
-		_(monoxide.models)
-			.pickBy((modelSpec, id) => settings.modelFilter(id))
-			.forEach(model => model.hook('query', (done, q) => {
-				async()
-					.parallel({
-						// Determine indexes {{{
-						indexes: function(next) {
-							var indexes = [];
-
-							// Query fields {{{
-							var fields = _(q)
-								.pickBy((criteria, field) => !field.startsWith('$'))
+		/**
+		* Return the build queue for the current connection, creating it if necessary
+		* @returns {Object} The build queue, see `lib/queue.js`
+		*/
+		var getQueue = function() {
+			if (!queues.has(monoxide.connection)) queues.set(monoxide.connection, buildQueue({
+				concurrency: settings.buildConcurrency,
+				paused: !!(settings.schedule && settings.schedule.builds && !(scheduler && scheduler.active)), // Builds are deferred to the maintenance window
+			}));
+			return queues.get(monoxide.connection);
+		};
+
+		/**
+		* Index cache + build lock (see `lib/cache/memory.js` for the interface)
+		* @var {Object}
+		*/
+		var cache =
+			settings.cache == 'memory' ? memoryCache({ttl: settings.indexThrottle, lease: settings.buildLease})
+			: settings.cache == 'mongo' ? mongoCache({db: ()=> monoxide.connection.db, collection: settings.cacheCollection, ttl: settings.indexThrottle, lease: settings.buildLease})
+			: settings.cache; // Custom adapter
+
+		/**
+		* Forget the cached indexes of a model (if `settings.indexResetOnBuild`)
+		* @param {MonoxideModel} model The model whose indexes have changed
+		* @param {function} callback The callback to fire as (err)
+		*/
+		var resetCache = function(model, callback) {
+			if (!settings.indexResetOnBuild) return callback();
+			cache.reset(model.$collection, callback);
+		};
+
+		/**
+		* Check that creating a new index would not exceed the models index budget
+		* If `settings.budgetMode='evict'` the least used index created by this plugin is dropped to make room
+		* @param {MonoxideModel} model The model the index is being created on
+		* @param {Object} mongoSpec The MongoDB index key spec about to be created
+		* @param {function} callback The callback to fire as (err, refused) where refused is the reason the index should not be built, if any
+		*
+		* @emits autoIndexer.evict Fired on the model as (model, index, mongoSpec) when an index is dropped to make room for a new one
+		*/
+		var checkBudget = function(model, mongoSpec, callback) {
+			var maxIndexes =
+				_.isFunction(settings.maxIndexes) ? settings.maxIndexes(model.$collection)
+				: _.isPlainObject(settings.maxIndexes) ? settings.maxIndexes[model.$collection]
+				: settings.maxIndexes;
+
+			if (!maxIndexes) return callback(); // No budget for this model
+
+			async()
+				// Fetch existing indexes {{{
+				.then('indexes', function(next) {
+					getIndexStats(model, next);
+				})
+				// }}}
+				// Check the budget {{{
+				.then(function(next) {
+					if (this.indexes.length < maxIndexes) return next('OK');
+					if (settings.budgetMode != 'evict') return next('REFUSE');
+					next();
+				})
+				// }}}
+				// Find the least used auto-created index to evict {{{
+				.then('evict', function(next) {
+					next(null, _(this.indexes)
+						.filter(index => isAutoCreated(index, settings.namePrefix))
+						.minBy('hits')
+					);
+				})
+				// }}}
+				// Fire: autoIndexer.evict {{{
+				.then(function(next) {
+					if (!this.evict) return next('REFUSE'); // Nothing we can evict
+					debug('Evicting index', this.evict.id, 'with', this.evict.hits, 'hits to stay within budget of', maxIndexes);
+					model.fire('autoIndexer.evict', ()=> next(), model, this.evict, mongoSpec);
+				})
+				// }}}
+				// Drop the index {{{
+				.then(function(next) {
+					if (settings.dryRun) return next();
+					model.$mongoModel.dropIndex(this.evict.spec, err => {
+						if (err) return next(err);
+						resetCache(model, next);
+					});
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (err && err === 'OK') {
+						callback();
+					} else if (err && err === 'REFUSE') {
+						debug('Refusing to build index', getIndexId(model.$collection, mongoSpec), 'as it would exceed the budget of', maxIndexes);
+						callback(null, `Index budget of ${maxIndexes} indexes exceeded for ${model.$collection}`);
+					} else if (err) {
+						callback(err);
+					} else {
+						callback();
+					}
+				});
+				// }}}
+		};
+
+		/**
+		* Return the text index weights to use for a model
+		* @param {MonoxideModel} model The model to examine
+		* @returns {Object} The text index weights of the form `{field: weight}`
+		*/
+		var getTextWeights = function(model) {
+			return (
+				_.isFunction(settings.textWeights) ? settings.textWeights(model.$collection)
+				: _.isPlainObject(settings.textWeights) ? settings.textWeights[model.$collection]
+				: undefined
+			) || {'$**': 1}; // Default to indexing all string fields
+		};
+
+
+		/**
+		* Compute the MongoDB options for a new index
+		* Fields which have used the same value for at least `settings.partialFilters` queries of the shape are moved into a `partialFilterExpression`, text indexes get their weights from `settings.textWeights`, the query collation is copied and `unique` / `sparse` / `expires` (seconds) are taken from the schema
+		* @param {MonoxideModel} model The model the index is for
+		* @param {array} index The index fields (e.g. `['name', '-role']`)
+		* @param {Object} analysis The query analysis (see `lib/analyser.js`) with the shape counters glued
+		* @param {Object} q The Monoxide query
+		* @returns {Object} An object of the form `{index, options}` where `index` is the index fields with any partial filter fields removed
+		*/
+		var getIndexOptions = function(model, index, analysis, q) {
+			var options = {};
+
+			// Partial filter from constant fields {{{
+			if (settings.partialFilters && analysis.total >= settings.partialFilters) {
+				var partial = _.pick(analysis.constants, index.map(field => _.trimStart(field, '-')));
+				var remaining = index.filter(field => !_.has(partial, _.trimStart(field, '-')));
+
+				if (!_.isEmpty(partial) && remaining.length) { // Only use if there is something left to index
+					options.partialFilterExpression = partial;
+					index = remaining;
+				}
+			}
+			// }}}
+
+			// Text weights {{{
+			var isText = index.some(field => field.endsWith(':text'));
+			if (isText) options.weights = _.pick(getTextWeights(model), index.map(field => field.split(':')[0]));
+			// }}}
+
+			// Collation from the query {{{
+			// Only profiled queries carry a `$collation` - Monoxide has no collation support and would pass it into the filter
+			if (q.$collation && !isText) options.collation = q.$collation; // Text indexes only support simple binary comparison
+			// }}}
+
+			// Schema options {{{
+			var fieldsOptions = index.map(field => _.get(model.$mongooseModel.schema.path(_.trimStart(field.split(':')[0], '-')), 'options') || {}); // model.meta() doesn't carry unique / sparse / expires
+
+			if (index.length == 1 && fieldsOptions[0].unique) options.unique = true;
+			if (index.length == 1 && _.isNumber(fieldsOptions[0].expires)) options.expireAfterSeconds = fieldsOptions[0].expires;
+			if (!options.partialFilterExpression && fieldsOptions.every(fieldOptions => fieldOptions.sparse)) options.sparse = true; // Sparse cannot be combined with partial indexes
+			// }}}
+
+			return {index, options};
+		};
+
+		// Glue index cleaner to main Monoxide model (defaulting to our index name prefix)
+		monoxide.cleanIndexes = function(options, finish) {
+			if (_.isFunction(options)) { // Called as (callback)
+				[options, finish] = [{}, options];
+			}
+
+			return cleanIndexes(_.defaults(options, {
+				namePrefix: settings.namePrefix,
+				history: !!settings.statsInterval,
+				statsCollection: settings.statsCollection,
+				stagedCollection: settings.stagedCollection,
+				verifications,
+				verificationCollection: settings.verificationCollection,
+				cache,
+				monoxide,
+			}), finish);
+		};
+
+		/**
+		* Build a report of which indexes exist, which would be created and which would be dropped
+		* This does not change any indexes or fire any events
+		* @param {Object} [options] Optional settings to pass to the report
+		* @param {string} [options.format='object'] The format to return the report in. 'object' returns a plain object, 'json' a JSON string and 'markdown' a Markdown string
+		* @param {Object} [options.clean] Optional settings to pass to `cleanIndexes()` when determining which indexes would be dropped
+		* @param {function} callback The callback to fire as (err, report)
+		*/
+		monoxide.indexReport = function(options, callback) {
+			if (_.isFunction(options)) { // Called as (callback)
+				[options, callback] = [{}, options];
+			}
+
+			var reportSettings = _.defaults(options, {
+				format: 'object',
+				clean: {},
+			});
+
+			async()
+				// Load staged state + stored verification results {{{
+				.parallel({
+					staged: next => staging.load(monoxide.connection.db, next),
+					verified: next => loadVerifications(next),
+				})
+				// }}}
+				// Build the report {{{
+				.then('report', function(next) {
+					indexReport.build({
+						models: _.pickBy(monoxide.models, (model, id) => settings.modelFilter(id)),
+						shapes: tracker.status(),
+						namePrefix: settings.namePrefix,
+						verifications,
+						staged: this.staged,
+						clean: next => monoxide.cleanIndexes(_.assign({}, reportSettings.clean, {dryRun: true, emit: false}), (err, result) => next(err, result && result.selected)),
+					}, next);
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (err) return callback(err);
+					switch (reportSettings.format) {
+						case 'object': return callback(null, this.report);
+						case 'json': return callback(null, JSON.stringify(this.report, null, '\t'));
+						case 'markdown': return callback(null, indexReport.toMarkdown(this.report));
+						default: return callback(`Unknown report format: ${reportSettings.format}`);
+					}
+				});
+				// }}}
+		};
+
+		/**
+		* Export a manifest of the indexes of each model
+		* @param {Object} [options] Optional settings to pass to the exporter
+		* @param {string} [options.format='object'] The format to return the manifest in. 'object' returns a plain object, 'json' a JSON string and 'yaml' a YAML string
+		* @param {function} callback The callback to fire as (err, manifest)
+		*/
+		monoxide.exportIndexes = function(options, callback) {
+			if (_.isFunction(options)) { // Called as (callback)
+				[options, callback] = [{}, options];
+			}
+
+			var exportSettings = _.defaults(options, {
+				format: 'object',
+			});
+
+			indexManifest.build(_.pickBy(monoxide.models, (model, id) => settings.modelFilter(id)), (err, manifest) => {
+				if (err) return callback(err);
+				if (exportSettings.format == 'object') return callback(null, manifest);
+				try {
+					callback(null, indexManifest.stringify(manifest, exportSettings.format));
+				} catch (e) {
+					callback(e.toString());
+				}
+			});
+		};
+
+		/**
+		* Create and drop indexes so that each model mentioned in a manifest matches it
+		* Models not mentioned in the manifest are left alone
+		* @param {Object|string} manifest The manifest to apply, either as an object or JSON / YAML string (as returned by `exportIndexes()`)
+		* @param {Object} [options] Optional settings to pass when applying
+		* @param {boolean} [options.dryRun=false] Dont actually change anything, just return the differences
+		* @param {function} callback The callback to fire as (err, diff) where diff is of the form `{create: [], drop: []}` and each index is of the form `{collection, id, name, key, options}`
+		*/
+		monoxide.applyIndexes = function(manifest, options, callback) {
+			if (_.isFunction(options)) { // Called as (manifest, callback)
+				[options, callback] = [{}, options];
+			}
+
+			var applySettings = _.defaults(options, {
+				dryRun: false,
+			});
+
+			async()
+				// Parse the manifest {{{
+				.then('manifest', function(next) {
+					if (_.isPlainObject(manifest)) return next(null, manifest);
+					try {
+						next(null, indexManifest.parse(manifest));
+					} catch (e) {
+						next(`Cannot parse index manifest: ${e.toString()}`);
+					}
+				})
+				// }}}
+				// Compute the differences {{{
+				.then('diff', function(next) {
+					indexManifest.compare(monoxide.models, this.manifest, next);
+				})
+				// }}}
+				// Apply the differences {{{
+				.then(function(next) {
+					if (applySettings.dryRun) return next();
+					indexManifest.apply(monoxide.models, this.diff, next);
+				})
+				// }}}
+				// Remove cached indexes as they are now stale {{{
+				.forEach(monoxide.models, function(next, model) {
+					if (applySettings.dryRun) return next();
+					cache.reset(model.$collection, next);
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (err) return callback(err);
+					callback(null, this.diff);
+				});
+				// }}}
+		};
+
+		/**
+		* Snapshot the `$indexStats` of all models into the usage history collection
+		* @param {function} [callback] Optional callback to fire as (err)
+		*/
+		monoxide.snapshotIndexStats = function(callback) {
+			async()
+				.map('indexes', _.pickBy(monoxide.models, (model, id) => settings.modelFilter(id)), function(next, model) {
+					getIndexStats(model, next);
+				})
+				.then(function(next) {
+					history.snapshot(monoxide.connection.db, _(this.indexes).values().flatten().value(), next);
+				})
+				.end(callback || _.noop);
+		};
+
+		if (settings.statsInterval) {
+			statsTimer = setInterval(()=> monoxide.snapshotIndexStats(), settings.statsInterval);
+			if (statsTimer.unref) statsTimer.unref(); // Dont keep the process alive just for snapshots
+		}
+
+		// Maintenance window scheduler (if settings.schedule) {{{
+		var scheduler;
+		if (settings.schedule) {
+			var scheduleSettings = _.defaults(settings.schedule, {
+				windows: [],
+				clean: true,
+				builds: false,
+				now: Date.now,
+			});
+
+			var run; // The current run of the form `{window, started, finished, cleaned, pending, err}`
+
+			scheduler = indexScheduler(_.assign(_.pick(scheduleSettings, ['windows', 'duration', 'interval', 'now']), {
+				onStart: (window, next) => {
+					run = {window, started: new Date(scheduleSettings.now()), cleaned: []};
+
+					if (scheduleSettings.builds && monoxide.connection) getQueue().resume();
+
+					if (!scheduleSettings.clean) return next();
+					run.cleaning = true;
+					monoxide.cleanIndexes(_.assign({}, scheduleSettings.clean === true ? {} : scheduleSettings.clean, {deadline: window.end, now: scheduleSettings.now}), (err, result) => {
+						if (err) run.err = err;
+						if (result) run.cleaned = result.dropped;
+						run.cleaning = false;
+						if (run.onCleaned) run.onCleaned();
+					});
+					next(); // Dont wait for the cleaner, it stops by itself at the end of the window
+				},
+				onEnd: (window, next) => {
+					if (scheduleSettings.builds && monoxide.connection) getQueue().pause();
+
+					var ended = run;
+					var report = ()=> {
+						ended.finished = new Date(scheduleSettings.now());
+						ended.pending = monoxide.connection ? getQueue().status().pending.length : 0;
+						monoxide.fire('autoIndexer.schedule', next, _.omit(ended, ['cleaning', 'onCleaned']));
+					};
+
+					if (ended.cleaning) { // Cleaner is still finishing its last drop - wait for it
+						ended.onCleaned = report;
+					} else {
+						report();
+					}
+				},
+			})).start();
+		}
+		// }}}
+
+		// Glue build queue accessor to main Monoxide model
+		monoxide.indexQueue = getQueue;
+
+		// Glue query shape inspector to main Monoxide model
+		monoxide.indexShapes = tracker.status;
+
+		// Glue verification results accessor to main Monoxide model
+		monoxide.indexVerifications = ()=> verifications;
+
+		/**
+		* Merge the stored verification results into `verifications` the first time they are needed
+		* Results from this process are newer than those stored so take precedence
+		* @param {function} callback The callback to fire as (err)
+		*/
+		var loadVerifications = function(callback) {
+			if (verificationsLoaded) return callback();
+			verificationStore.load(monoxide.connection.db, (err, stored) => {
+				if (err) return callback(err);
+				_.defaults(verifications, stored);
+				verificationsLoaded = true;
+				callback();
+			});
+		};
+
+		/**
+		* Query hooks we have attached, used to remove them on uninstall
+		* @var {Map} Model => Object of hook functions keyed by hook name (e.g. `{query, update}`)
+		*/
+		var queryHooks = new Map();
+
+		/**
+		* Filters of multiple deletes in flight
+		* Monoxide runs these as a query for the IDs to delete (then deletes each by ID) so the query hook uses this to tell them apart from regular finds
+		* @var {array} Array of objects of the form `{collection, filter}`
+		*/
+		var pendingDeletes = [];
+
+		/**
+		* Return the filtering criteria of a Monoxide query, omitting all meta fields (`$collection`, `$select` etc.)
+		* @param {Object} q The query object
+		* @returns {Object} The filter fields
+		*/
+		var getFilter = q => _.omitBy(q, (v, k) => k.startsWith('$'));
+
+		/**
+		* Analyse a query against a model, track its shape and queue any missing indexes
+		* This is the build decision path shared by the Monoxide `query` hook and the profiler
+		* @param {MonoxideModel} model The model the query is against
+		* @param {Object} q The query object, in the form the Monoxide `query` hook receives
+		* @param {Object} context Additional information to glue to the analysis, must contain the `operation` (see `settings.operations`), such as `{source: 'hook', operation: 'find'}`
+		* @param {function} done The callback to fire as (err) when complete, if building in the background this is as soon as any builds are queued
+		*/
+		var processQuery = function(model, q, context, done) {
+			if (!settings.operations[context.operation]) {
+				debug('Skipping', context.operation, 'on', model.$collection, '- indexing is disabled for this operation');
+				return done();
+			}
+
+			var analysis = _.assign(analyser(q), context);
+
+			async()
+				.parallel({
+					// Determine indexes {{{
+					indexes: function(next) {
+						var indexes = [];
+						var sort = analysis.sort;
+
+						analysis.branches.forEach(branch => { // Each $or branch needs its own index
+							// Query fields - filtered by their class {{{
+							var [special, fields] = _(branch)
+								.pickBy(fieldClass => settings.indexClasses.includes(fieldClass))
 								.keys()
+								.partition(field => ['geo', 'text'].includes(branch[field]))
 								.value();
-
-							if (fields.length) indexes.push(fields);
 							// }}}
-							// Sort {{{
-							if (q.$sort) indexes.push(q.$sort);
+
+							// Text + geo fields get their own index {{{
+							special.forEach(field => indexes.push(
+								branch[field] == 'text'
+									? _.keys(getTextWeights(model)).map(field => `${field}:text`)
+									: [`${field}:2dsphere`]
+							));
 							// }}}
 
-							if (!indexes.length) return next('SKIP');
+							if (settings.compoundIndexes) { // Build one Equality-Sort-Range compound index
+								// Split fields into equality + range (everything else) {{{
+								var [equality, range] = _.partition(fields, field => branch[field] == 'equality');
+								// }}}
 
-							// Sort all index collections {{{
-							if (settings.sortIndexes) {
-								indexes = _(indexes)
-									.map(i => i.sort())
-									.sortBy(i => i.join(','))
-									.value();
+								// Sort within groups where the key order doesnt matter {{{
+								if (settings.sortIndexes) {
+									equality.sort();
+									range.sort();
+								}
+								// }}}
+
+								var index = _.uniqBy([
+									...equality,
+									...sort.filter(s => !equality.includes(_.trimStart(s, '-'))), // Sorting on an equality field is a no-op
+									...range,
+								], k => _.trimStart(k, '-'));
+
+								if (index.length) indexes.push(index);
+							} else { // Build split query + sort indexes
+								if (fields.length) indexes.push(settings.sortIndexes ? fields.sort() : fields);
 							}
+						});
+
+						if (!settings.compoundIndexes) { // Split mode - add sort as a seperate index
+							if (sort.length) indexes.push(settings.sortIndexes ? _.sortBy(sort) : sort);
+
+							// Sort all index collections {{{
+							if (settings.sortIndexes) indexes = _.sortBy(indexes, i => i.join(','));
 							// }}}
+						}
 
-							next(null, indexes);
-						},
-						// }}}
-						// Scoop existing indexes (with a throttle) {{{
-						existingIndexes: function(next) {
-							if (!model.aiIndexCache || model.aiIndexCache.created < Date.now() - settings.indexThrottle) { // Query indexes now
-								model.getIndexes((err, indexes) => {
-									if (err) return next(err);
-									model.aiIndexCache = {
-										created: Date.now(),
-										indexes,
-									};
-									next(null, indexes);
-								});
-							} else { // Use existing index cache
-								next(null, model.aiIndexCache.indexes);
-							}
-						},
-						// }}}
-						// Ask for model spec {{{
-						meta: function(next) {
-							model.meta(next);
-						},
-						// }}}
-					})
-					// Filter indexes for ones that make absolutely no sense - such as arrays or objects {{{
-					.then('indexes', function(next) {
-						return next(null,
-							this.indexes
-								.filter(indexes => _.castArray(indexes).every(index => {
-									var spec = this.meta[index];
-									if (!spec) return true; // Cannot find a spec object
-									return spec.type && ['string', 'number', 'date', 'boolean', 'objectid'].includes(spec.type); // Only return if the index type is not on a blacklist
-								}))
-						);
-					})
+						indexes = _.uniqWith(indexes, _.isEqual);
+
+						if (!indexes.length) return next('SKIP');
+
+						next(null, indexes);
+					},
 					// }}}
-					// Fire event autoIndexer.query {{{
-					.then(function(next) {
-						model.fire('autoIndexer.query', ()=> next(), this.indexes);
-					})
+					// Scoop existing indexes (with a throttle) {{{
+					existingIndexes: function(next) {
+						cache.get(model.$collection, (err, indexes) => {
+							if (err) return next(err);
+							if (indexes) return next(null, indexes); // Use existing index cache
+
+							model.getIndexes((err, indexes) => { // Query indexes now
+								if (err) return next(err);
+								cache.set(model.$collection, indexes, err => next(err, indexes));
+							});
+						});
+					},
+					// }}}
+					// Ask for model spec {{{
+					meta: function(next) {
+						model.meta(next);
+					},
+					// }}}
+				})
+				// Filter indexes for ones that make absolutely no sense - such as objects {{{
+				.then('indexes', function(next) {
+					return next(null,
+						this.indexes
+							.filter(indexes => _.castArray(indexes).every(index => {
+								if (index.includes(':')) return true; // Text + geo indexes are allowed on any type
+								var spec = this.meta[_.trimStart(index, '-')];
+								if (!spec) return true; // Cannot find a spec object
+								return spec.type && ['string', 'number', 'date', 'boolean', 'objectid', 'array'].includes(spec.type); // Only return if the index type is not on a blacklist - arrays become multikey indexes
+							}))
+					);
+				})
+				// }}}
+				// Track query shape frequency {{{
+				.then(function(next) {
+					_.assign(analysis, tracker.hit(model.$collection, analysis.shape, {indexes: this.indexes}, analysis.values));
+
+					// Joins (lookups, populates and back-references) are promoted immediately - they run once per joined document {{{
+					if (!analysis.join && _.some(analysis.fields) && _.every(analysis.fields, (fieldClass, field) =>
+						['equality', 'set'].includes(fieldClass) && _.get(this.meta, [field, 'ref'])
+					)) analysis.join = true; // Back-reference - e.g. all widgets whose `owner` is a given user
+
+					if (analysis.join && !analysis.promoted) {
+						debug('Query shape', analysis.shape, 'on', model.$collection, 'is a join, building indexes before its threshold');
+						analysis.promoted = true;
+					}
+					// }}}
+
+					next();
+				})
+				// }}}
+				// Record regressions against indexes hidden for a removal trial {{{
+				.then(function(next) {
+					var now = Date.now();
+
+					if (regressionsSwept <= now - settings.indexThrottle) { // Forget regressions which are no longer throttled
+						regressionsSeen = _.pickBy(regressionsSeen, seen => seen > now - settings.indexThrottle);
+						regressionsSwept = now;
+					}
+
+					var regress = (hiddenIndex, reason) => {
+						var seenId = `${model.$collection}.${hiddenIndex.name}:${analysis.shape}`;
+						if (regressionsSeen[seenId] > now - settings.indexThrottle) return; // Already recorded recently
+						regressionsSeen[seenId] = now;
+						staging.regress(monoxide.connection.db, model.$collection, hiddenIndex.name, reason); // Dont hold up the query waiting for this
+					};
+
+					// Queries which need a hidden index {{{
+					this.indexes.forEach(index => {
+						var indexOptions;
+						({index, options: indexOptions} = getIndexOptions(model, _.castArray(index), analysis, q));
+						var mongoSpec = getIndexSpec(index);
+						var covering = this.existingIndexes.filter(i => isServedBy(mongoSpec, indexOptions, i));
+						if (!covering.length || !covering.every(i => i.hidden)) return; // Not needed or served by a visible index
+
+						covering.forEach(hiddenIndex => regress(hiddenIndex, `Needed by query shape ${analysis.shape}`));
+					});
 					// }}}
-					// Create the missing indexes {{{
-					.forEach('indexes', function(next, index) {
-						var mongoSpec = _(index)
-							.mapKeys()
-							.mapValues(k => k.startsWith('-') ? -1 : 1)
-							.mapKeys((v, k) => _.trimStart(k, '-'))
+
+					// Slow queries which could have used a hidden index {{{
+					if (settings.regressionMs && analysis.millis >= settings.regressionMs) {
+						var fields = _(analysis.branches)
+							.flatMap(_.keys)
+							.concat(analysis.sort.map(field => _.trimStart(field, '-')))
+							.uniq()
 							.value();
 
-						var isExisting = this.existingIndexes.some(i => _.isEqual(i.key, mongoSpec))
+						this.existingIndexes
+							.filter(i => i.hidden && fields.includes(_.keys(i.key)[0]))
+							.forEach(hiddenIndex => regress(hiddenIndex, `Query shape ${analysis.shape} took ${analysis.millis}ms`));
+					}
+					// }}}
 
-						if (isExisting) return next();
+					next();
+				})
+				// }}}
+				// Fire event autoIndexer.query {{{
+				.then(function(next) {
+					model.fire('autoIndexer.query', ()=> next(), this.indexes, analysis);
+				})
+				// }}}
+				// Skip shapes which havn't been seen enough times yet {{{
+				.then(function(next) {
+					if (!analysis.promoted) {
+						debug('Query shape', analysis.shape, 'on', model.$collection, 'seen', analysis.hits, '/', analysis.threshold, 'times, not building indexes yet');
+						return next('SKIP');
+					}
+					next();
+				})
+				// }}}
+				// Load stored verification results so indexes which failed are not rebuilt after a restart {{{
+				.then(function(next) {
+					loadVerifications(next);
+				})
+				// }}}
+				// Queue the missing indexes {{{
+				.forEach('indexes', function(next, index) {
+					var indexOptions;
+					({index, options: indexOptions} = getIndexOptions(model, index, analysis, q));
+					var mongoSpec = getIndexSpec(index);
+
+					// Merge text indexes - there can only be one per collection {{{
+					var replaceIndex;
+					if (indexOptions.weights) {
+						var textIndex = this.existingIndexes.find(i => i.key._fts);
+
+						if (textIndex && isAutoCreated(textIndex, settings.namePrefix) && !_.isMatch(textIndex.weights, indexOptions.weights)) {
+							replaceIndex = textIndex;
+							indexOptions.weights = _.assign({}, textIndex.weights, indexOptions.weights);
+							index = _.keys(indexOptions.weights).map(field => `${field}:text`);
+							mongoSpec = getIndexSpec(index);
+							debug('Merging text index', textIndex.name, 'into', getIndexId(model.$collection, mongoSpec));
+						}
+					}
+					// }}}
 
+					var isExisting = !replaceIndex && this.existingIndexes.some(i => isServedBy(mongoSpec, indexOptions, i));
+
+					if (isExisting) return next();
+
+					var indexId = getIndexId(model.$collection, mongoSpec, indexOptions);
+					var indexName = getIndexName(mongoSpec, settings.namePrefix, indexOptions);
+
+					if (verifications[indexId] && !verifications[indexId].effective) { // Already built once and found to be useless
+						debug('Not rebuilding index', indexId, 'as it failed verification -', verifications[indexId].reason);
+						return next();
+					}
+
+					// Refuse compound indexes over multiple arrays {{{
+					var arrayPaths = _(index)
+						.map(field => getArrayPath(_.trimStart(field.split(':')[0], '-'), this.meta))
+						.filter()
+						.uniq()
+						.value();
+
+					if (arrayPaths.length > 1) { // MongoDB refuses to index parallel arrays
+						debug('Refusing to build index', getIndexId(model.$collection, mongoSpec), 'as it covers multiple array fields', arrayPaths);
+						return model.fire('autoIndexer.postBuild', next, model, index, mongoSpec, `Cannot build a compound index over multiple array fields (${arrayPaths.join(', ')})`);
+					}
+					// }}}
+
+					var background = settings.background || getQueue().paused; // Never wait for builds deferred to the maintenance window
+
+					getQueue().add(indexId, buildDone => {
 						async()
-							// Fire: autoIndexer.preBuild {{{
+							// Take the build lease so only one process builds this index {{{
+							.then('locked', function(next) {
+								cache.lock(indexId, (err, acquired) => {
+									if (err) return next(err);
+									if (!acquired) {
+										debug('Skipping build of', indexId, 'as another process holds the build lease');
+										return next('SKIP');
+									}
+									next(null, true);
+								});
+							})
+							// }}}
+							// Check the index wasn't built by another process while we waited {{{
 							.then(function(next) {
-								model.fire('autoIndexer.build', ()=> next(), model, index, mongoSpec);
+								if (replaceIndex) return next();
+								model.getIndexes((err, indexes) => {
+									if (err) return next(err);
+									if (indexes.some(i => isServedBy(mongoSpec, indexOptions, i))) {
+										debug('Skipping build of', indexId, 'as it already exists');
+										return resetCache(model, ()=> next('SKIP'));
+									}
+									next();
+								});
+							})
+							// }}}
+							// Check the index budget {{{
+							.then('refused', function(next) {
+								if (replaceIndex) return next(); // Replacing an index doesn't change the count
+								checkBudget(model, mongoSpec, next);
+							})
+							// }}}
+							// Fire: autoIndexer.build {{{
+							.then(function(next) {
+								if (this.refused) return next();
+								model.fire('autoIndexer.build', ()=> next(), model, index, mongoSpec, indexOptions);
+							})
+							// }}}
+							// Explain the query before building (if settings.verify) {{{
+							.then('explainBefore', function(next) {
+								if (!settings.verify || this.refused || settings.dryRun) return next();
+								if (analysis.branches.length > 1) { // MongoDB only uses indexes for an $or once every branch is indexed so each branch index on its own looks ineffective
+									debug('Not verifying', indexId, 'as query shape', analysis.shape, 'has multiple $or branches');
+									return next();
+								}
+								verify.explain(model, q, analysis.sort, (err, summary) => {
+									if (err) debug('Failed to explain query before building', indexId, '- skipping verification', err);
+									next(null, summary);
+								});
+							})
+							// }}}
+							// Drop the text index we are replacing {{{
+							.then(function(next) {
+								if (!replaceIndex || settings.dryRun) return next();
+								model.$mongoModel.dropIndex(replaceIndex.name, err => {
+									if (err) this.buildError = err.toString();
+									next();
+								});
 							})
 							// }}}
 							// Create the index {{{
 							.then('buildResult', function(next) {
-								if (settings.dryRun) { // Dry run - don't actually do anything
-									if (settings.indexResetOnBuild) delete model.aiIndexCache; // Remove cached indexes when adding an index
-									next();
+								if (this.refused) { // Over budget - pass the reason on to postBuild
+									this.buildError = this.refused;
+									next(null, this.refused);
+								} else if (this.buildError) { // Failed to drop the index we are replacing
+									next(null, this.buildError);
+								} else if (settings.dryRun) { // Dry run - don't actually do anything
+									resetCache(model, ()=> next());
 								} else { // Actually create the index
-									model.$mongoModel.createIndex(mongoSpec) // For some reason createIndex() doesn't return an error to the callback so we have to use promises
-										.then(()=> {
-											if (settings.indexResetOnBuild) delete model.aiIndexCache; // Remove cached indexes when adding an index
-											next();
-										})
+									model.$mongoModel.createIndex(mongoSpec, _.assign({name: indexName}, indexOptions)) // For some reason createIndex() doesn't return an error to the callback so we have to use promises
+										.then(()=> resetCache(model, ()=> next()))
 										.catch(err => {
+											this.buildError = err.toString(); // Store so the build queue can mark the job as failed
 											if (settings.ignoreCreateErrors) return next();
-											return next(null, err.toString()); // Pass error as parameter return so the postBuild hook can read it
+											return next(null, this.buildError); // Pass error as parameter return so the postBuild hook can read it
 										});
 								}
 							})
 							// }}}
-							// Fire: autoIndexer.preBuild {{{
+							// Fire: autoIndexer.postBuild {{{
 							.then(function(next) {
 								model.fire('autoIndexer.postBuild', next, model, index, mongoSpec, this.buildResult);
 							})
 							// }}}
-							.end(next);
-					})
-					// }}}
-					// End {{{
-					.end(function(err) {
-						if (err && err === 'SKIP') {
-							done();
-						} else if (err) {
-							done(err);
-						} else {
-							done();
-						}
+							// Explain the query again and compare (if settings.verify) {{{
+							.then('verification', function(next) {
+								if (!this.explainBefore || this.buildError) return next();
+								verify.explain(model, q, analysis.sort, (err, explainAfter) => {
+									if (err) {
+										debug('Failed to explain query after building', indexId, '- skipping verification', err);
+										return next();
+									}
+									next(null, verifications[indexId] = verify.compare(indexName, this.explainBefore, explainAfter));
+								});
+							})
+							// }}}
+							// Store the verification result {{{
+							.then(function(next) {
+								if (!this.verification) return next();
+								verificationStore.save(monoxide.connection.db, model.$collection, indexId, this.verification, err => {
+									if (err) debug('Failed to store verification of', indexId, err); // Still held in memory for this process
+									next();
+								});
+							})
+							// }}}
+							// Fire: autoIndexer.verify {{{
+							.then(function(next) {
+								if (!this.verification) return next();
+								model.fire('autoIndexer.verify', next, model, index, mongoSpec, this.verification);
+							})
+							// }}}
+							// Drop ineffective indexes (if settings.verifyAction == 'drop') {{{
+							.then(function(next) {
+								if (!this.verification || this.verification.effective || settings.verifyAction != 'drop') return next();
+								debug('Dropping index', indexId, 'as it failed verification -', this.verification.reason);
+								model.$mongoModel.dropIndex(indexName, err => {
+									if (err) return next(err);
+									resetCache(model, next);
+								});
+							})
+							// }}}
+							.end(function(err) {
+								if (err === 'SKIP') err = null;
+								if (!this.locked) return buildDone(err || this.buildError);
+								cache.unlock(indexId, ()=> buildDone(err || this.buildError));
+							});
+					}, {collection: model.$collection, index, mongoSpec, options: indexOptions}, background ? undefined : ()=> next()); // Build errors are reported via autoIndexer.postBuild + the queue status so are not passed on to the query
+
+					if (background) next(); // Dont wait for the build to complete
+				})
+				// }}}
+				// End {{{
+				.end(function(err) {
+					if (err && err === 'SKIP') {
+						done();
+					} else if (err) {
+						done(err);
+					} else {
+						done();
+					}
+				});
+				// }}}
+		};
+
+		/**
+		* Attach the query hook to a model, if it passes `settings.modelFilter` and is not already hooked
+		* @param {MonoxideModel} model The model to hook
+		*/
+		var hookModel = function(model) {
+			if (!settings.modelFilter(model.$collection) || queryHooks.has(model)) return;
+
+			var hooks = {
+				query: (done, q) => {
+					var operation = q.$count ? 'count' : 'find';
+
+					var pendingDelete = q.$select == 'id' && pendingDeletes.find(d => d.collection == model.$collection && _.isEqual(d.filter, getFilter(q)));
+					if (pendingDelete) { // Looking up the IDs for a multiple delete
+						_.pull(pendingDeletes, pendingDelete);
+						operation = 'delete';
+					}
+
+					async()
+						.then(next => processQuery(model, q, {source: 'hook', operation}, next))
+						.then(next => processQueries(model, pipeline.getPopulateQueries(q.$populate, _.get(model, '$mongooseModel.schema.virtuals')), {source: 'populate', operation: 'find'}, next))
+						.end(done);
+				},
+				update: (done, q) => processQuery(model, q, {source: 'hook', operation: 'update'}, done),
+			};
+
+			queryHooks.set(model, hooks);
+			_.forEach(hooks, (hook, name) => model.hook(name, hook));
+
+			if (settings.refIndexes) indexRefs(model, err => {
+				if (err) debug('Failed to index references of', model.$collection, err);
+			});
+		};
+
+		/**
+		* Queue indexes for the reference fields of a model, taken from the `ref` of each field in the model schema (if settings.refIndexes)
+		* These are the join keys of back-reference queries (e.g. all widgets whose `owner` is a given user) so are indexed up front rather than after the first slow query
+		* @param {MonoxideModel} model The model to index the references of
+		* @param {function} callback The callback to fire as (err) when complete
+		*/
+		var indexRefs = function(model, callback) {
+			if (!monoxide.connection) {
+				debug('Not connected, skipping reference indexes for', model.$collection);
+				return callback();
+			}
+
+			model.meta((err, meta) => {
+				if (err) return callback(err);
+
+				processQueries(model, _(meta)
+					.pickBy(spec => spec.ref)
+					.map((spec, path) => ({
+						collection: model.$collection,
+						path,
+						join: true,
+						q: {$collection: model.$collection, [path]: {$eq: null}},
+					}))
+					.value(), {source: 'ref', operation: 'find'}, callback);
+			});
+		};
+
+		/**
+		* Find the model for a raw MongoDB collection name
+		* @param {string} collection The collection name (or model ID)
+		* @returns {MonoxideModel|undefined} The model or undefined if none matches
+		*/
+		var findModel = function(collection) {
+			return _.find(monoxide.models, m => m.$collection == collection || _.get(m, '$mongoModel.collectionName') == collection); // $mongoModel is the raw driver collection
+		};
+
+		/**
+		* Feed extracted queries (such as the indexable stages of an aggregation pipeline or the join keys of populations, see `lib/pipeline.js`) through the same build decision path as the query hook
+		* @param {MonoxideModel} model The model the queries originate from
+		* @param {array} queries Array of queries of the form `{collection, q, stage, path, join}`
+		* @param {Object} context Additional information to glue to the analysis of each query, such as `{source: 'aggregate'}`
+		* @param {function} done The callback to fire as (err) when complete
+		*/
+		var processQueries = function(model, queries, context, done) {
+			async()
+				.limit(1)
+				.forEach(queries, function(next, query) {
+					var target = query.collection == model.$collection ? model : findModel(query.collection); // `$lookup` stages + populations query other collections
+					if (!target || !queryHooks.has(target)) return next();
+					processQuery(target, query.q, _.assign({}, context, _.pick(query, ['stage', 'path', 'join'])), next);
+				})
+				.end(done);
+		};
+
+		// Hook existing models + wrap the schema builder so models defined later are also hooked {{{
+		_.forEach(monoxide.models, hookModel);
+
+		var originalSchema = monoxide.schema;
+		var installed = true;
+		var wrappedSchema = monoxide.schema = function() {
+			var model = originalSchema.apply(this, arguments);
+			if (installed && model) hookModel(model);
+			return model;
+		};
+		// }}}
+
+		// Wrap aggregation so pipelines are also analysed (Monoxide has no aggregate hook) {{{
+		var originalAggregate = monoxide.aggregate;
+		var wrappedAggregate = monoxide.aggregate = function(q, callback) {
+			var model = installed && _.isPlainObject(q) && _.isArray(q.$stages) && monoxide.models[q.$collection];
+			if (!model || !queryHooks.has(model)) return originalAggregate.apply(this, arguments);
+
+			processQueries(model, pipeline.getQueries(model.$collection, q.$stages), {source: 'aggregate', operation: 'aggregate'}, err => {
+				if (err) return callback(err);
+				originalAggregate.call(this, q, callback);
+			});
+			return monoxide;
+		};
+		// }}}
+
+		// Wrap distinct commands (Monoxide runs these via runCommand() without a hook) {{{
+		var originalRunCommand = monoxide.runCommand;
+		var wrappedRunCommand = monoxide.runCommand = function(cmd, callback) {
+			var model = installed && _.isPlainObject(cmd) && _.isString(cmd.distinct) && cmd.key && findModel(cmd.distinct);
+			if (!model || !queryHooks.has(model)) return originalRunCommand.apply(this, arguments);
+
+			processQuery(model, _.assign({$collection: model.$collection}, cmd.query, {$sort: {[cmd.key]: 1}}), {source: 'hook', operation: 'distinct'}, err => { // The key is scanned in order after the query fields
+				if (err) return callback(err);
+				originalRunCommand.call(this, cmd, callback);
+			});
+			return monoxide;
+		};
+		// }}}
+
+		// Wrap deletes so the ID lookup of multiple deletes can be told apart from regular queries {{{
+		var originalDelete = monoxide.delete;
+		var wrappedDelete = monoxide.delete = monoxide.remove = function(q, callback) {
+			if (!installed || !_.isPlainObject(q) || !q.$multiple || !queryHooks.has(monoxide.models[q.$collection])) return originalDelete.apply(this, arguments);
+
+			var pendingDelete = {collection: q.$collection, filter: getFilter(q)};
+			pendingDeletes.push(pendingDelete);
+
+			return originalDelete.call(this, q, function() {
+				_.pull(pendingDeletes, pendingDelete); // Remove if the delete failed before querying
+				if (callback) callback.apply(this, arguments);
+			});
+		};
+		// }}}
+
+		// Profiler ingestion (if settings.profiler) {{{
+		var profilerSettings = _.defaults(_.isPlainObject(settings.profiler) ? settings.profiler : {}, {
+			interval: 1000 * 60, // 1m
+			slowMs: 0,
+			since: new Date(),
+		});
+		var profiler = indexProfiler(_.pick(profilerSettings, ['batch', 'slowMs', 'since']));
+		var profilerTimer;
+
+		/**
+		* Feed normalised profiler queries (see `lib/profiler.js`) through the same build decision path as the query hook
+		* Queries against collections without a hooked model are ignored
+		* @param {array} queries Array of queries of the form `{collection, operation, q, millis}` or `{collection, operation, stages, millis}` for aggregations
+		* @param {function} callback The callback to fire as (err, count) where count is the number of queries processed
+		*/
+		var ingestQueries = function(queries, callback) {
+			var count = 0;
+
+			async()
+				.limit(1)
+				.forEach(queries, function(next, query) {
+					var model = findModel(query.collection);
+					if (!model || !queryHooks.has(model)) return next();
+
+					count++;
+					processQueries(model, query.stages ? pipeline.getQueries(query.collection, query.stages) : [query], {source: 'profiler', operation: query.operation, millis: query.millis}, err => {
+						if (err) debug('Failed to process profiled query on', query.collection, err);
+						next(); // Carry on with the other queries
 					});
-					// }}}
-			}));
+				})
+				.end(err => callback(err, count));
+		};
+
+		/**
+		* Feed MongoDB profiler documents or JSON slow query log entries through the same build decision path as the query hook
+		* This allows queries which do not go through Monoxide (raw `$mongoModel` calls, other services sharing the database etc.) to be indexed
+		* Entries faster than `profiler.slowMs` are ignored. Queries made via Monoxide are not told apart so count towards `shapeThreshold` once from the hook and once more when ingested
+		* @param {array|Object} entries A single or array of `system.profile` documents or slow query log entries, entries which are not queries are ignored
+		* @param {function} [callback] Optional callback to fire as (err, count) where count is the number of queries processed
+		*/
+		monoxide.ingestProfile = function(entries, callback) {
+			ingestQueries(
+				_.castArray(entries)
+					.map(indexProfiler.normalise)
+					.filter(query => query && (query.millis || 0) >= profilerSettings.slowMs),
+				callback || _.noop
+			);
+		};
+
+		/**
+		* Read new entries from the `system.profile` collection and ingest them (see `ingestProfile()`)
+		* Profiling must be enabled on the database first (e.g. `db.setProfilingLevel(1, {slowms: 100})`)
+		* @param {function} [callback] Optional callback to fire as (err, count) where count is the number of queries processed
+		*/
+		monoxide.pollProfiler = function(callback) {
+			async()
+				.then('queries', function(next) {
+					profiler.read(monoxide.connection.db, next);
+				})
+				.then('count', function(next) {
+					ingestQueries(this.queries, next);
+				})
+				.end(function(err) {
+					if (err) debug('Failed to poll the profiler', err);
+					if (callback) callback(err, this.count);
+				});
+		};
+
+		if (settings.profiler) {
+			var polling = false;
+			profilerTimer = setInterval(()=> {
+				if (polling) return; // Still ingesting the last batch
+				polling = true;
+				monoxide.pollProfiler(()=> polling = false);
+			}, profilerSettings.interval);
+			if (profilerTimer.unref) profilerTimer.unref(); // Dont keep the process alive just for the profiler
+		}
+		// }}}
+
+		/**
+		* Remove the plugin from Monoxide
+		* All query hooks are removed, stats snapshots + profiler polling are stopped and all methods glued to Monoxide are removed
+		* @param {function} [callback] Optional callback to fire as (err) once any pending index builds have completed
+		*/
+		monoxide.uninstallAutoIndexer = function(callback) {
+			installed = false;
+
+			// Remove query hooks {{{
+			queryHooks.forEach((hooks, model) => _.forEach(hooks, (hook, name) => _.pull(_.get(model, ['$hooks', name], []), hook)));
+			queryHooks.clear();
+			pendingDeletes = [];
+			// }}}
+
+			// Restore the schema builder, aggregation, commands + deletes (unless someone else has wrapped them since, in which case our wrappers become pass-throughs) {{{
+			if (monoxide.schema === wrappedSchema) monoxide.schema = originalSchema;
+			if (monoxide.aggregate === wrappedAggregate) monoxide.aggregate = originalAggregate;
+			if (monoxide.runCommand === wrappedRunCommand) monoxide.runCommand = originalRunCommand;
+			if (monoxide.delete === wrappedDelete) monoxide.delete = originalDelete;
+			if (monoxide.remove === wrappedDelete) monoxide.remove = originalDelete;
+			// }}}
+
+			// Stop stats snapshots, the profiler + the scheduler {{{
+			clearInterval(statsTimer);
+			statsTimer = undefined;
+			clearInterval(profilerTimer);
+			profilerTimer = undefined;
+			if (scheduler) scheduler.stop();
+			// }}}
+
+			// Remove glued methods {{{
+			[
+				'applyIndexes',
+				'cleanIndexes',
+				'exportIndexes',
+				'indexQueue',
+				'indexReport',
+				'indexShapes',
+				'indexVerifications',
+				'ingestProfile',
+				'pollProfiler',
+				'snapshotIndexStats',
+				'uninstallAutoIndexer',
+			].forEach(method => delete monoxide[method]);
+			// }}}
+
+			if (!callback) return;
+			if (!queues.has(monoxide.connection)) return callback(); // Nothing was ever queued
+			if (queues.get(monoxide.connection).paused) return callback(); // Builds waiting for a maintenance window will never run
+			queues.get(monoxide.connection).drain(()=> callback());
+		};
 
 		finish();
 	};
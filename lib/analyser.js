@@ -0,0 +1,193 @@
+var _ = require('lodash');
+
+/**
+* Classes a field can be sorted into, in order of preference when a field uses multiple operators
+* @var {array}
+*/
+var classes = ['equality', 'set', 'range', 'geo', 'text', 'exists', 'regex', 'negation', 'unknown'];
+
+
+/**
+* Determine the class of a regular expression
+* Only case-sensitive expressions anchored to the start of the string can use an index bounds so are treated as ranges
+* @param {RegExp|string} expression The expression to examine
+* @param {string} [flags] Optional flags if `expression` is a string
+* @returns {string} Either 'range' or 'regex'
+*/
+var classifyRegExp = function(expression, flags) {
+	var source = _.isRegExp(expression) ? expression.source : expression;
+	var ignoreCase = _.isRegExp(expression) ? expression.ignoreCase : _.includes(flags, 'i');
+
+	return source.startsWith('^') && !ignoreCase ? 'range' : 'regex';
+};
+
+
+/**
+* Determine the class of the criteria used against a single field
+* @param {*} criteria The criteria value used for the field
+* @returns {string} The class of the criteria, see `classes` for possible values
+*/
+var classify = function(criteria) {
+	if (_.isRegExp(criteria)) return classifyRegExp(criteria);
+	if (!_.isPlainObject(criteria)) return 'equality'; // Scalars, dates, ObjectIDs etc.
+
+	var operators = _.keys(criteria).filter(k => k.startsWith('$'));
+	if (!operators.length) return 'equality'; // Matching against an entire sub-document
+
+	return _(operators)
+		.map(operator => {
+			switch (operator) {
+				case '$eq':
+				case '$all':
+				case '$elemMatch':
+					return 'equality';
+				case '$in':
+					return _.isArray(criteria.$in) && criteria.$in.length == 1 && !_.isRegExp(criteria.$in[0])
+						? 'equality' // Single item $in is really just an equality match
+						: 'set';
+				case '$gt':
+				case '$gte':
+				case '$lt':
+				case '$lte':
+					return 'range';
+				case '$regex':
+					return classifyRegExp(criteria.$regex, criteria.$options);
+				case '$options':
+					return undefined; // Handled by $regex
+				case '$near':
+				case '$nearSphere':
+				case '$geoWithin':
+				case '$geoIntersects':
+					return 'geo';
+				case '$maxDistance':
+				case '$minDistance':
+					return undefined; // Handled by $near
+				case '$exists':
+					return 'exists';
+				case '$ne':
+				case '$nin':
+				case '$not':
+					return 'negation';
+				default:
+					return 'unknown';
+			}
+		})
+		.filter()
+		.minBy(c => classes.indexOf(c));
+};
+
+
+/**
+* Normalise a Monoxide sort specification into an array of field names prefixed with '-' for decending sorts
+* Object directions which are not a plain direction (e.g. `{score: {$meta: 'textScore'}}`) are skipped as they cannot use an index
+* @param {string|array|Object} [sort] The sort specification, can be a string ('name -role'), array of strings or object (`{name: 1, role: -1}`)
+* @returns {array} Array of sort fields
+*/
+var normaliseSort = function(sort) {
+	if (!sort) return [];
+
+	return _(sort)
+		.castArray()
+		.flatMap(s =>
+			_.isString(s) ? s.split(/[\s,]+/)
+			: _.isPlainObject(s) ? _(s)
+				.pickBy(v => [1, -1, 'asc', 'desc', 'ascending', 'descending'].includes(v))
+				.map((v, k) => v == -1 || v == 'desc' || v == 'descending' ? '-' + k : k)
+				.value()
+			: []
+		)
+		.filter()
+		.value();
+};
+
+
+/**
+* Merge two objects of field classes together
+* If a field appears in both the most preferable class (see `classes`) is used
+* @param {Object} a The first object of fields in the form `{field: class}`
+* @param {Object} b The second object of fields in the form `{field: class}`
+* @returns {Object} The merged object of fields
+*/
+var mergeFields = function(a, b) {
+	return _.assignWith({}, a, b, (aClass, bClass) =>
+		aClass && classes.indexOf(aClass) < classes.indexOf(bClass) ? aClass : bClass
+	);
+};
+
+
+/**
+* Walk a criteria object, returning each set of fields that would need to be served by an index
+* `$and` branches are merged into the parent, `$or` branches each produce their own field set and `$nor` branches are ignored as they cannot use an index effectively
+* `$text` searches are not against a specific field so are returned as the pseudo field `$text` with the class 'text'
+* @param {Object} criteria The criteria object to examine
+* @returns {array} Array of field objects in the form `{field: class}`
+*/
+var walk = function(criteria) {
+	var branches = [
+		_(criteria)
+			.pickBy((criteria, field) => !field.startsWith('$'))
+			.mapValues(classify)
+			.assign(criteria.$text ? {$text: 'text'} : {})
+			.value()
+	];
+
+	// Multiply out the current branches against a list of new branches
+	var crossMerge = (newBranches) => {
+		if (!newBranches.length) return;
+		branches = _.flatMap(branches, branch => newBranches.map(newBranch => mergeFields(branch, newBranch)));
+	};
+
+	if (_.isArray(criteria.$and)) criteria.$and.forEach(sub => crossMerge(walk(sub)));
+	if (_.isArray(criteria.$or)) crossMerge(_.flatMap(criteria.$or, walk));
+
+	return branches;
+};
+
+
+/**
+* Compute a normalised string representing the shape of a query
+* Queries which differ only by their values (or field order) share the same shape
+* @param {array} branches The branches of the query (see `walk()`)
+* @param {array} sort The normalised sort fields (see `normaliseSort()`)
+* @returns {string} The shape of the query (e.g. `{name:range,role:equality} sort:-created`)
+*/
+var getShape = function(branches, sort) {
+	return _(branches)
+		.map(branch => '{' + _(branch).map((fieldClass, field) => `${field}:${fieldClass}`).sortBy().join(',') + '}')
+		.uniq()
+		.sortBy()
+		.join('|')
+		+ (sort.length ? ' sort:' + sort.join(',') : '');
+};
+
+
+/**
+* Analyse a Monoxide query object and classify each of its fields
+* @param {Object} q The Monoxide query object as passed to the `query` hook
+* @returns {Object} The analysis object with `fields` (an object of the form `{field: class}` of fields common to all branches), `values` (an object of the scalar values of top level equality fields), `branches` (array of field objects, one per `$or` branch or just `[fields]` if there are no branches) `sort` (array of sort fields, see `normaliseSort()`) and `shape` (see `getShape()`)
+*/
+var analyse = function(q) {
+	var branches = walk(q);
+	var sort = normaliseSort(q.$sort);
+
+	var fields = _.pickBy(branches[0], (fieldClass, field) => branches.every(branch => branch[field] === fieldClass));
+
+	return {
+		fields,
+		values: _.pickBy(q, (value, field) =>
+			fields[field] == 'equality'
+			&& (_.isString(value) || _.isNumber(value) || _.isBoolean(value) || _.isNull(value))
+		),
+		branches,
+		sort,
+		shape: getShape(branches, sort),
+	};
+};
+
+module.exports = analyse;
+module.exports.analyse = analyse;
+module.exports.classify = classify;
+module.exports.walk = walk;
+module.exports.classes = classes;
+module.exports.normaliseSort = normaliseSort;
+module.exports.getShape = getShape;
@@ -0,0 +1,84 @@
+var _ = require('lodash');
+
+/**
+* Factory function to create an in-memory index cache + build lock
+* This is only shared within a single process, use `lib/cache/mongo.js` to share between processes
+* All cache adapters provide the same callback based interface: `get()`, `set()`, `reset()`, `lock()` and `unlock()`
+* @param {Object} [options] Optional settings to pass to the cache
+* @param {number} [options.ttl=1000*60] How long in milliseconds the known indexes of a collection are cached for
+* @param {number} [options.lease=1000*60*10] How long in milliseconds a build lock is held for before it is assumed the builder has died
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The cache object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		ttl: 1000 * 60, // 1m
+		lease: 1000 * 60 * 10, // 10m
+		now: Date.now,
+	});
+
+	var cache = {
+		indexes: {}, // Collection => {created, indexes}
+		leases: {}, // Index ID => Expiry time
+	};
+
+
+	/**
+	* Fetch the known indexes of a collection
+	* @param {string} collection The collection / model ID
+	* @param {function} callback The callback to fire as (err, indexes) where indexes is undefined if the cache is empty or stale
+	*/
+	cache.get = function(collection, callback) {
+		var entry = cache.indexes[collection];
+		callback(null, entry && entry.created > settings.now() - settings.ttl ? entry.indexes : undefined);
+	};
+
+
+	/**
+	* Store the known indexes of a collection
+	* @param {string} collection The collection / model ID
+	* @param {array} indexes The raw MongoDB indexes, as returned by `model.getIndexes()`
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	cache.set = function(collection, indexes, callback) {
+		cache.indexes[collection] = {created: settings.now(), indexes};
+		if (callback) callback();
+	};
+
+
+	/**
+	* Forget the known indexes of a collection, forcing the next `get()` to miss
+	* @param {string} collection The collection / model ID
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	cache.reset = function(collection, callback) {
+		delete cache.indexes[collection];
+		if (callback) callback();
+	};
+
+
+	/**
+	* Attempt to take the build lock for an index
+	* @param {string} id The index ID
+	* @param {function} callback The callback to fire as (err, acquired) where acquired is false if someone else holds the lock
+	*/
+	cache.lock = function(id, callback) {
+		var now = settings.now();
+		if (cache.leases[id] && cache.leases[id] > now) return callback(null, false);
+		cache.leases[id] = now + settings.lease;
+		callback(null, true);
+	};
+
+
+	/**
+	* Release the build lock for an index
+	* @param {string} id The index ID
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	cache.unlock = function(id, callback) {
+		delete cache.leases[id];
+		if (callback) callback();
+	};
+
+	return cache;
+};
@@ -0,0 +1,126 @@
+var _ = require('lodash');
+var crypto = require('crypto');
+var debug = require('debug')('monoxide-auto-indexer');
+var os = require('os');
+
+/**
+* Factory function to create a MongoDB collection backed index cache + build lock
+* This shares the known indexes and build leases between all processes using the same database so only one process builds a given index
+* Known indexes are also held in-process for `localTtl` so queries only wait on the database on a local miss, a reset in another process is seen once the local copy expires
+* Documents are of the form `{_id: 'indexes:<collection>', indexes, updated}` or `{_id: 'lease:<indexId>', owner, expires}`
+* @param {Object} options Settings to pass to the cache
+* @param {Object|function} options.db The MongoDB database object (usually `monoxide.connection.db`) or a function which returns it, called on each operation
+* @param {string} [options.collection='autoIndexerCache'] The collection to store the cache within
+* @param {number} [options.ttl=1000*60] How long in milliseconds the known indexes of a collection are cached for
+* @param {number} [options.localTtl] How long in milliseconds the known indexes of a collection are held in-process before checking the database again, defaults to `ttl`
+* @param {number} [options.lease=1000*60*10] How long in milliseconds a build lease is held for before it is assumed the builder has died
+* @param {string} [options.owner] Unique ID of this process, used to identify which leases we hold. Defaults to the hostname + PID + a random suffix
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The cache object, see `lib/cache/memory.js` for the interface
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		collection: 'autoIndexerCache',
+		ttl: 1000 * 60, // 1m
+		lease: 1000 * 60 * 10, // 10m
+		owner: `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`,
+		now: Date.now,
+	});
+	if (!_.isNumber(settings.localTtl)) settings.localTtl = settings.ttl;
+
+	var cache = {
+		local: {}, // Collection => {expires, indexes}
+	};
+
+	/**
+	* Return the MongoDB collection the cache is stored in
+	* @returns {Object} The MongoDB collection
+	*/
+	var getStore = function() {
+		return (_.isFunction(settings.db) ? settings.db() : settings.db).collection(settings.collection);
+	};
+
+
+	/**
+	* Fetch the known indexes of a collection, see `lib/cache/memory.js`
+	*/
+	cache.get = function(collection, callback) {
+		var now = settings.now();
+		var local = cache.local[collection];
+		if (local && local.expires > now) return callback(null, local.indexes);
+
+		getStore().findOne({_id: `indexes:${collection}`}, (err, doc) => {
+			if (err) return callback(err);
+			if (!doc || new Date(doc.updated).getTime() <= now - settings.ttl) return callback();
+
+			var indexes = JSON.parse(doc.indexes);
+			cache.local[collection] = {
+				expires: Math.min(new Date(doc.updated).getTime() + settings.ttl, now + settings.localTtl), // Never outlive the shared entry
+				indexes,
+			};
+			callback(null, indexes);
+		});
+	};
+
+
+	/**
+	* Store the known indexes of a collection, see `lib/cache/memory.js`
+	*/
+	cache.set = function(collection, indexes, callback) {
+		cache.local[collection] = {expires: settings.now() + Math.min(settings.ttl, settings.localTtl), indexes};
+		getStore().updateOne({_id: `indexes:${collection}`}, {
+			$set: {
+				indexes: JSON.stringify(indexes), // Stored as a string as index keys can contain dots and dollars
+				updated: new Date(settings.now()),
+			},
+		}, {upsert: true}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+
+	/**
+	* Forget the known indexes of a collection, see `lib/cache/memory.js`
+	*/
+	cache.reset = function(collection, callback) {
+		delete cache.local[collection];
+		getStore().deleteOne({_id: `indexes:${collection}`}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+
+	/**
+	* Attempt to take the build lease for an index, expired leases are taken over, see `lib/cache/memory.js`
+	*/
+	cache.lock = function(id, callback) {
+		var store = getStore();
+		var now = settings.now();
+
+		store.deleteOne({_id: `lease:${id}`, expires: {$lt: new Date(now)}}, err => { // Clear any expired lease first
+			if (err) return callback(err);
+
+			store.insertOne({_id: `lease:${id}`, owner: settings.owner, expires: new Date(now + settings.lease)}, err => {
+				if (err && err.code == 11000) { // Duplicate key - someone else holds the lease
+					debug('Build lease for', id, 'is held by another process');
+					return callback(null, false);
+				} else if (err) {
+					return callback(err);
+				}
+				callback(null, true);
+			});
+		});
+	};
+
+
+	/**
+	* Release the build lease for an index (if we hold it), see `lib/cache/memory.js`
+	*/
+	cache.unlock = function(id, callback) {
+		getStore().deleteOne({_id: `lease:${id}`, owner: settings.owner}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+	return cache;
+};
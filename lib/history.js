@@ -0,0 +1,109 @@
+var _ = require('lodash');
+var async = require('async-chainable');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* Calculate the running total of hits for an index
+* `$indexStats` counters are reset whenever mongod restarts (or the index is rebuilt), which is detected by the `since` date changing or the counter going backwards
+* @param {Object} [doc] The existing history document for the index, if any
+* @param {Object} index The index stats, as returned by `getIndexStats()`
+* @returns {number} The total number of hits across all resets
+*/
+var tally = function(doc, index) {
+	if (!doc) return index.hits; // First time we've seen this index
+
+	var sameSince = doc.since && index.since && new Date(doc.since).getTime() == new Date(index.since).getTime();
+	if (sameSince && index.hits >= doc.ops) { // Counter is still running - add the difference
+		return doc.total + index.hits - doc.ops;
+	} else { // Counter has been reset since the last snapshot - add everything
+		return doc.total + index.hits;
+	}
+};
+
+
+/**
+* Factory function to create an index usage history store
+* Usage history is stored in a MongoDB collection with one document per index of the form `{_id, collection, name, key, since, ops, total, firstSeen, updated}`
+* @param {Object} [options] Optional settings to pass to the store
+* @param {string} [options.collection='autoIndexerStats'] The collection to store history within
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The history store object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		collection: 'autoIndexerStats',
+		now: Date.now,
+	});
+
+	var history = {};
+
+
+	/**
+	* Record a snapshot of index stats, adding to the running totals
+	* Any history for indexes on the same collections which no longer exist is removed
+	* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+	* @param {array} indexes Array of index stats, as returned by `getIndexStats()`
+	* @param {function} callback The callback to fire as (err)
+	*/
+	history.snapshot = function(db, indexes, callback) {
+		var store = db.collection(settings.collection);
+		var now = new Date(settings.now());
+
+		async()
+			// Update the totals for each index {{{
+			.forEach(indexes, function(next, index) {
+				var id = index.model.$collection + '.' + index.name;
+
+				store.findOne({_id: id}, (err, doc) => {
+					if (err) return next(err);
+					store.updateOne({_id: id}, {
+						$set: {
+							collection: index.model.$collection,
+							name: index.name,
+							key: index.spec,
+							since: index.since,
+							ops: index.hits,
+							total: tally(doc, index),
+							updated: now,
+						},
+						$setOnInsert: {
+							firstSeen: now,
+						},
+					}, {upsert: true}, err => next(err));
+				});
+			})
+			// }}}
+			// Remove history for indexes that no longer exist {{{
+			.forEach(_.groupBy(indexes, i => i.model.$collection), function(next, collectionIndexes, collection) {
+				store.deleteMany({
+					collection,
+					name: {$nin: collectionIndexes.map(i => i.name)},
+				}, err => next(err));
+			})
+			// }}}
+			.end(function(err) {
+				if (err) {
+					debug('Failed to snapshot index stats', err);
+					return callback(err);
+				}
+				callback();
+			});
+	};
+
+
+	/**
+	* Load all index history
+	* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+	* @param {function} callback The callback to fire as (err, history) where history is an object with each key being `${collection}.${indexName}`
+	*/
+	history.load = function(db, callback) {
+		db.collection(settings.collection).find({}).toArray((err, docs) => {
+			if (err) return callback(err);
+			callback(null, _.keyBy(docs, '_id'));
+		});
+	};
+
+	return history;
+};
+
+module.exports.tally = tally;
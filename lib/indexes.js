@@ -0,0 +1,257 @@
+var _ = require('lodash');
+var crypto = require('crypto');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* The collation settings MongoDB fills in when they are not specified
+* @var {Object}
+*/
+var collationDefaults = {
+	strength: 3,
+	caseLevel: false,
+	caseFirst: 'off',
+	numericOrdering: false,
+	alternate: 'non-ignorable',
+	maxVariable: 'punct',
+	normalization: false,
+	backwards: false,
+};
+
+
+/**
+* Normalise a collation so that a requested collation (e.g. `{locale: 'en'}`) matches the full collation MongoDB stores against the index
+* @param {Object} [collation] The collation to normalise
+* @returns {Object|undefined} The normalised collation or undefined for the simple binary collation
+*/
+var normaliseCollation = function(collation) {
+	if (!collation || collation.locale == 'simple') return;
+	return _.pick(_.defaults({}, collation, collationDefaults), ['locale', ..._.keys(collationDefaults)]);
+};
+
+
+/**
+* Compute a short hash of the options which distinguish indexes with the same key
+* MongoDB allows several indexes on the same key with different partial filters or collations, all other options must be the same
+* @param {Object} [options] The index options (or full index spec as returned by `model.getIndexes()`)
+* @returns {string|undefined} An 8 character hash or undefined if the options do not distinguish the index
+*/
+var getOptionsHash = function(options) {
+	var identity = _.omitBy({
+		partialFilterExpression: _.get(options, 'partialFilterExpression'),
+		collation: normaliseCollation(_.get(options, 'collation')),
+	}, _.isUndefined);
+
+	if (_.isEmpty(identity)) return;
+	return crypto.createHash('md5').update(JSON.stringify(identity)).digest('hex').substr(0, 8);
+};
+
+
+/**
+* Compute the human readable ID of an index
+* @param {string} collection The collection / model ID the index belongs to
+* @param {Object} key The MongoDB index key spec (e.g. `{name: 1, role: -1}`)
+* @param {Object} [options] The index options, indexes with a partial filter or collation have the options hash appended (see `getOptionsHash()`)
+* @returns {string} The index ID (e.g. `users.{name,-role}`, `users.location:2dsphere` or `users.name#1a2b3c4d`)
+*/
+var getIndexId = function(collection, key, options) {
+	var fields = _.map(key, (v, k) =>
+		v == 1 ? k
+		: v == -1 ? '-' + k
+		: k + ':' + v // Special index types such as 'text' / '2dsphere'
+	);
+	var hash = getOptionsHash(options);
+
+	return collection
+		+ '.'
+		+ (fields.length == 1 ? fields[0] : '{' + fields.join(',') + '}')
+		+ (hash ? '#' + hash : '');
+};
+
+
+/**
+* Convert an array of index fields into a MongoDB index key spec
+* @param {array} index Array of fields, prefixed with '-' for decending order or suffixed with ':type' for special index types (e.g. `['name', '-role']`, `['location:2dsphere']`)
+* @returns {Object} The MongoDB index key spec (e.g. `{name: 1, role: -1}`, `{location: '2dsphere'}`)
+*/
+var getIndexSpec = function(index) {
+	return _(index)
+		.mapKeys()
+		.mapValues(k => k.includes(':') ? k.split(':')[1] : k.startsWith('-') ? -1 : 1)
+		.mapKeys((v, k) => _.trimStart(k.split(':')[0], '-'))
+		.value();
+};
+
+
+/**
+* Compute the name to give an index created by this plugin
+* This is the same as the MongoDB default name (e.g. `name_1_role_-1`) with a prefix so that auto-created indexes can be identified later
+* Indexes with a partial filter or collation have the options hash appended (see `getOptionsHash()`) so they do not collide with other indexes on the same key
+* Names which would be too long for older versions of MongoDB are replaced with a hash
+* @param {Object} key The MongoDB index key spec (e.g. `{name: 1, role: -1}`)
+* @param {string} prefix The prefix to use
+* @param {Object} [options] The index options
+* @returns {string} The index name
+*/
+var getIndexName = function(key, prefix, options) {
+	var hash = getOptionsHash(options);
+	var name = _.map(key, (v, k) => `${k}_${v}`).join('_') + (hash ? '_' + hash : '');
+	if (name.length > 64) name = crypto.createHash('md5').update(name).digest('hex');
+	return prefix + name;
+};
+
+
+/**
+* Determine if an index was created by this plugin
+* @param {Object} index The index to examine, as returned by `getIndexStats()` or `model.getIndexes()`
+* @param {string} prefix The index name prefix used when creating indexes
+* @returns {boolean} Whether the index was created by this plugin
+*/
+var isAutoCreated = function(index, prefix) {
+	return !!index.name && index.name.startsWith(prefix);
+};
+
+
+/**
+* Determine if an index key spec is served by an existing index
+* An index serves a spec if the spec is a prefix of the index key, either in the same direction or with all directions reversed (as MongoDB can walk an index backwards)
+* Text index specs are served by any text index as `$text` queries always use the one text index of a collection
+* @param {Object} spec The MongoDB index key spec to examine (e.g. `{name: 1}`)
+* @param {Object} key The existing MongoDB index key spec (e.g. `{name: -1, role: -1}`)
+* @returns {boolean} Whether `spec` is served by `key`
+*/
+var isCoveredBy = function(spec, key) {
+	if (_.values(spec).includes('text')) return !!key._fts;
+
+	var specFields = _.keys(spec);
+	var keyFields = _.keys(key);
+
+	if (specFields.length > keyFields.length) return false;
+	if (!specFields.every((field, offset) => keyFields[offset] == field)) return false; // Not a prefix
+
+	return (
+		specFields.every(field => spec[field] === key[field]) // Same direction
+		|| specFields.every(field => _.isNumber(key[field]) && spec[field] === -key[field]) // Reversed direction
+	);
+};
+
+
+/**
+* Determine if a wanted index (key spec + options) is served by an existing index
+* As well as the key (see `isCoveredBy()`) the existing index must not be restricted where the wanted one is not: partial indexes only serve the same partial filter, sparse indexes only serve sparse indexes and the collations must match
+* @param {Object} spec The MongoDB index key spec to examine (e.g. `{name: 1}`)
+* @param {Object} options The options of the wanted index (see `getIndexOptions()` in the plugin)
+* @param {Object} index The existing index, as returned by `model.getIndexes()`
+* @returns {boolean} Whether the wanted index is served by `index`
+*/
+var isServedBy = function(spec, options, index) {
+	if (!isCoveredBy(spec, index.key)) return false;
+	if (index.partialFilterExpression && !_.isEqual(index.partialFilterExpression, options.partialFilterExpression)) return false;
+	if (index.sparse && !options.sparse) return false;
+	if (!index.key._fts && !_.isEqual(normaliseCollation(index.collation), normaliseCollation(options.collation))) return false; // Text indexes are always simple
+	return true;
+};
+
+
+/**
+* Retrieve the indexes of a model along with their usage stats
+* The index options come from the `$indexStats` spec (MongoDB 4.2+), falling back to `model.getIndexes()` on older servers
+* @param {MonoxideModel} model The model to examine
+* @param {function} callback The callback to fire as (err, indexes) where each index is of the form `{id, name, path, model, spec, options, hits, since}`
+*/
+var getIndexStats = function(model, callback) {
+	model.$mongoModel.aggregate({$indexStats: {}}, (err, indexes) => {
+		if (err) return callback(err);
+
+		var decorate = specs => callback(null, indexes.map(i => {
+			var spec = i.spec || specs[i.name];
+			return {
+				id: getIndexId(model.$collection, i.key, spec),
+				name: i.name,
+				path: _(i.key).keys().first(),
+				model: model,
+				spec: i.key,
+				options: _.omit(spec, ['v', 'key', 'name', 'ns']),
+				hits: i.accesses.ops,
+				since: i.accesses.since,
+			};
+		}));
+
+		if (indexes.every(i => i.spec)) return decorate({});
+		model.getIndexes((err, specs) => {
+			if (err) return callback(err);
+			decorate(_.keyBy(specs, 'name'));
+		});
+	});
+};
+
+
+/**
+* Find the array (if any) which a field path is within
+* Indexes on fields within an array are multikey indexes, MongoDB refuses to build a compound index which spans more than one array
+* Positional paths (e.g. `items.0.sku`) are not treated as being within the array
+* @param {string} path The dotted notation field path to examine (e.g. `items.sku`)
+* @param {Object} meta The model meta information, as returned by `model.meta()`
+* @returns {string|undefined} The path of the array (e.g. `items`) or undefined if the path is not within an array
+*/
+var getArrayPath = function(path, meta) {
+	var segments = path.split('.');
+
+	return _.range(1, segments.length + 1)
+		.filter(length => !/^\d+$/.test(segments[length] || '')) // Skip arrays followed by a positional index
+		.map(length => segments.slice(0, length).join('.'))
+		.find(prefix => _.get(meta, [prefix, 'type']) == 'array');
+};
+
+
+/**
+* Determine if an index was manually specified by the schema via `{index: true}` or some variation thereof
+* The whole key is compared, so a compound index which merely starts with a manually indexed path is not treated as manual
+* Single path indexes are matched against the model meta, compound indexes against those declared via Mongoose `schema.index()`
+* @param {Object} index The index to examine, as returned by `getIndexStats()` with the models `meta({$indexes: true})` output glued as `index.meta`
+* @returns {boolean} Whether the index was manually specified
+*/
+var isManualIndex = function(index) {
+	var paths = _.keys(index.spec);
+	var declared = _.invoke(index.model, '$mongooseModel.schema.indexes') || []; // Array of the form `[[key, options]]`
+
+	if (paths.length == 1 && _.get(index.meta, [paths[0], 'index'])) {
+		debug('Manually indexed path', index.id);
+		return true;
+	} else if (declared.some(([key]) => _.isEqual(_.mapValues(key, v => _.isNumber(v) ? Math.sign(v) : v), index.spec))) {
+		debug('Manually declared index', index.id);
+		return true;
+	} else {
+		return false;
+	}
+};
+
+
+/**
+* Hide or unhide an index from the query planner (MongoDB 4.4+)
+* Hidden indexes are still maintained on writes so unhiding them is instant, unlike rebuilding a dropped index
+* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+* @param {MonoxideModel} model The model the index belongs to
+* @param {string} name The name of the index
+* @param {boolean} hidden Whether the index should be hidden
+* @param {function} callback The callback to fire as (err)
+*/
+var setIndexHidden = function(db, model, name, hidden, callback) {
+	db.command({
+		collMod: model.$mongoModel.collectionName, // $mongoModel is the raw driver collection
+		index: {name, hidden},
+	}, err => callback(err));
+};
+
+module.exports = {
+	getArrayPath,
+	getIndexId,
+	getIndexName,
+	getIndexSpec,
+	getIndexStats,
+	getOptionsHash,
+	isAutoCreated,
+	isCoveredBy,
+	isManualIndex,
+	isServedBy,
+	setIndexHidden,
+};
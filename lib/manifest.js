@@ -0,0 +1,188 @@
+var _ = require('lodash');
+var async = require('async-chainable');
+var debug = require('debug')('monoxide-auto-indexer');
+var yaml = require('js-yaml');
+var {getIndexId} = require('./indexes');
+
+/**
+* The version of the manifest format
+* @var {number}
+*/
+var version = 1;
+
+
+/**
+* Index options which are stored in the manifest
+* @var {array}
+*/
+var indexOptions = [
+	'unique',
+	'sparse',
+	'partialFilterExpression',
+	'expireAfterSeconds',
+	'collation',
+	'weights',
+	'default_language',
+	'language_override',
+];
+
+
+/**
+* Convert a raw MongoDB index (as returned by `model.getIndexes()`) into a manifest entry
+* Text indexes are stored by their weighted fields rather than the internal `_fts` / `_ftsx` key
+* @param {Object} index The raw MongoDB index
+* @returns {Object} The manifest entry of the form `{name, key, options}`
+*/
+var toEntry = function(index) {
+	return {
+		name: index.name,
+		key: index.key._fts ? _.mapValues(index.weights, ()=> 'text') : index.key,
+		options: _.pick(index, indexOptions),
+	};
+};
+
+
+/**
+* Compute the difference between the existing indexes of a collection and the wanted indexes
+* Indexes are matched by key and options, indexes whose key matches but options differ are dropped then recreated
+* The `_id` index is never touched
+* @param {string} collection The collection / model ID
+* @param {array} existing The existing manifest entries of the collection (see `toEntry()`)
+* @param {array} wanted The wanted manifest entries of the collection
+* @returns {Object} An object of the form `{create: [], drop: []}` where each entry is of the form `{collection, id, name, key, options}`
+*/
+var diff = function(collection, existing, wanted) {
+	var isSame = (a, b) => _.isEqual(a.key, b.key) && _.isEqual(a.options, b.options);
+	var decorate = entry => _.assign({collection, id: getIndexId(collection, entry.key, entry.options)}, entry);
+
+	existing = existing.filter(i => i.name != '_id_');
+	wanted = wanted.filter(i => i.name != '_id_');
+
+	return {
+		create: wanted
+			.filter(want => !existing.some(have => isSame(want, have)))
+			.map(decorate),
+		drop: existing
+			.filter(have => !wanted.some(want => isSame(want, have)))
+			.map(decorate),
+	};
+};
+
+
+/**
+* Build a manifest of the indexes of each model
+* @param {Object} models The Monoxide models to examine, keyed by model ID
+* @param {function} callback The callback to fire as (err, manifest)
+*/
+var build = function(models, callback) {
+	async()
+		.map('models', models, function(next, model) {
+			model.getIndexes((err, indexes) => {
+				if (err) return next(err);
+				next(null, indexes
+					.filter(i => i.name != '_id_')
+					.map(toEntry)
+				);
+			});
+		})
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, {
+				version,
+				models: this.models, // No timestamp so exporting unchanged indexes gives an identical manifest
+			});
+		});
+};
+
+
+/**
+* Compute the difference between a manifest and the indexes of each model it mentions
+* Models which are not mentioned in the manifest are not examined
+* @param {Object} models The Monoxide models available, keyed by model ID
+* @param {Object} manifest The manifest to compare against
+* @param {function} callback The callback to fire as (err, diff) where diff is of the form `{create: [], drop: []}`, see `diff()`
+*/
+var compare = function(models, manifest, callback) {
+	if (manifest.version != version) return callback(`Unsupported index manifest version: ${manifest.version}`);
+
+	async()
+		.map('diffs', manifest.models, function(next, wanted, modelId) {
+			if (!models[modelId]) return next(`Unknown model "${modelId}" in index manifest`);
+			models[modelId].getIndexes((err, indexes) => {
+				if (err) return next(err);
+				next(null, diff(modelId, indexes.map(toEntry), wanted));
+			});
+		})
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, {
+				create: _.flatMap(this.diffs, 'create'),
+				drop: _.flatMap(this.diffs, 'drop'),
+			});
+		});
+};
+
+
+/**
+* Apply a diff, dropping then creating indexes
+* @param {Object} models The Monoxide models available, keyed by model ID
+* @param {Object} changes The changes to make, as returned by `compare()`
+* @param {function} callback The callback to fire as (err)
+*/
+var apply = function(models, changes, callback) {
+	async()
+		.limit(1)
+		.forEach(changes.drop, function(next, index) {
+			debug('Dropping index', index.id, 'to match manifest');
+			models[index.collection].$mongoModel.dropIndex(index.name, err => next(err));
+		})
+		.forEach(changes.create, function(next, index) {
+			debug('Creating index', index.id, 'to match manifest');
+			models[index.collection].$mongoModel.createIndex(index.key, _.assign({name: index.name}, index.options))
+				.then(()=> next())
+				.catch(next);
+		})
+		.end(callback);
+};
+
+
+/**
+* Format a manifest as a string
+* @param {Object} manifest The manifest to format
+* @param {string} format The format to use, either 'json' or 'yaml'
+* @returns {string} The formatted manifest
+*/
+var stringify = function(manifest, format) {
+	var plain = JSON.parse(JSON.stringify(manifest)); // Flatten dates etc.
+	switch (format) {
+		case 'json': return JSON.stringify(plain, null, '\t');
+		case 'yaml': return yaml.safeDump(plain);
+		default: throw new Error(`Unknown index manifest format: ${format}`);
+	}
+};
+
+
+/**
+* Parse a manifest from a string
+* JSON is tried first, falling back to YAML
+* @param {string} manifest The manifest string to parse
+* @returns {Object} The parsed manifest
+*/
+var parse = function(manifest) {
+	try {
+		return JSON.parse(manifest);
+	} catch (e) {
+		return yaml.safeLoad(manifest);
+	}
+};
+
+module.exports = {
+	apply,
+	build,
+	compare,
+	diff,
+	parse,
+	stringify,
+	toEntry,
+	version,
+};
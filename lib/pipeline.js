@@ -0,0 +1,108 @@
+var _ = require('lodash');
+
+/**
+* Extract the parts of an aggregation pipeline which MongoDB can serve from an index as Monoxide style query objects
+* These are:
+*     - A leading `$geoNear` stage - its `query` plus the `key` field as a geo query
+*     - Otherwise the leading run of `$match` + `$sort` stages (MongoDB moves `$match` ahead of `$sort` and merges consecutive `$match` stages)
+*     - The `foreignField` of each `$lookup` stage, as an equality query against the `from` collection
+* @param {string} collection The collection the pipeline runs against
+* @param {array} stages The aggregation pipeline stages
+* @returns {array} Array of queries of the form `{collection, stage, q, join}` where `q` is of the same form the Monoxide `query` hook receives and `join` is true for `$lookup` join keys
+*/
+var getQueries = function(collection, stages) {
+	var queries = [];
+	if (!_.isArray(stages) || !stages.length) return queries;
+
+	// Leading $geoNear {{{
+	if (stages[0].$geoNear) {
+		var geoNear = stages[0].$geoNear;
+		queries.push({
+			collection,
+			stage: '$geoNear',
+			q: _.assign(
+				{$collection: collection},
+				geoNear.query,
+				geoNear.key ? {[geoNear.key]: {$nearSphere: geoNear.near}} : {} // Without `key` MongoDB picks the only geo index, which we cant know in advance
+			),
+		});
+	// }}}
+	// Leading $match + $sort {{{
+	} else {
+		var leading = _.takeWhile(stages, stage => stage.$match || stage.$sort);
+		var matches = leading.filter(stage => stage.$match).map(stage => stage.$match);
+		var sort = _(leading)
+			.map('$sort')
+			.filter()
+			.map(sort => _.pickBy(sort, dir => dir === 1 || dir === -1)) // Skip `{$meta: 'textScore'}` etc.
+			.first();
+
+		if (matches.length || !_.isEmpty(sort)) {
+			queries.push({
+				collection,
+				stage: '$match',
+				q: _.assign(
+					{$collection: collection},
+					matches.length > 1 ? {$and: matches} : matches[0],
+					_.isEmpty(sort) ? {} : {$sort: sort}
+				),
+			});
+		}
+	}
+	// }}}
+
+	// $lookup foreign fields {{{
+	stages
+		.filter(stage => stage.$lookup && stage.$lookup.from && stage.$lookup.foreignField)
+		.forEach(stage => queries.push({
+			collection: stage.$lookup.from,
+			stage: '$lookup',
+			join: true,
+			q: {
+				$collection: stage.$lookup.from,
+				[stage.$lookup.foreignField]: {$eq: null}, // Each input document is looked up by equality, the value is not known in advance
+			},
+		}));
+	// }}}
+
+	return queries;
+};
+
+
+/**
+* Extract the join keys of the populations of a query as Monoxide style query objects against the populated collections
+* Regular populations look up the `_id` of the referenced document which is always indexed so are skipped, only populations by a `foreignField` (reverse lookups, such as Mongoose virtual populates) need an index
+* @param {string|array|Object} populate The `$populate` of the query, either a path string (or space / comma separated paths), a population object of the form `{path, ref, foreignField}` or an array of either
+* @param {Object} [virtuals] The Mongoose schema virtuals of the model, used to find the `ref` + `foreignField` of virtual populates
+* @returns {array} Array of queries of the form `{collection, stage, path, q, join}`, see `getQueries()`
+*/
+var getPopulateQueries = function(populate, virtuals) {
+	return _(populate)
+		.castArray()
+		.flatMap(population => _.isString(population) ? population.split(/[\s,]+/).map(path => ({path})) : [population])
+		.filter(population => _.isPlainObject(population) && population.path)
+		.map(population => {
+			var virtual = _.get(virtuals, [population.path, 'options'], {});
+			var ref = [population.ref, population.model, virtual.ref].find(_.isString);
+			var foreignField = population.foreignField || virtual.foreignField || '_id';
+			if (!ref || foreignField == '_id') return;
+
+			return {
+				collection: ref,
+				stage: '$populate',
+				path: population.path,
+				join: true,
+				q: {
+					$collection: ref,
+					[foreignField]: {$eq: null}, // Each populated document is looked up by equality, see `getQueries()`
+				},
+			};
+		})
+		.filter()
+		.value();
+};
+
+module.exports = {
+	getPopulateQueries,
+	getQueries,
+};
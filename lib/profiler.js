@@ -0,0 +1,146 @@
+var _ = require('lodash');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* Convert MongoDB Extended JSON values (as found in the JSON slow query log) into values the analyser can classify
+* e.g. `{$oid: '...'}` becomes a string and `{$regularExpression: {pattern, options}}` becomes `{$regex, $options}`
+* Profile documents read directly from the database are already native values so pass through unchanged
+* @param {*} value The value to revive
+* @returns {*} The revived value
+*/
+var revive = function(value) {
+	if (_.isArray(value)) return value.map(revive);
+	if (!_.isPlainObject(value)) return value;
+
+	var keys = _.keys(value);
+	if (keys.length == 1) {
+		switch (keys[0]) {
+			case '$oid':
+			case '$symbol':
+				return String(value[keys[0]]);
+			case '$date':
+				return new Date(_.isPlainObject(value.$date) ? Number(value.$date.$numberLong) : value.$date);
+			case '$numberInt':
+			case '$numberLong':
+			case '$numberDouble':
+			case '$numberDecimal':
+				return Number(value[keys[0]]);
+			case '$regularExpression':
+				return {$regex: value.$regularExpression.pattern, $options: value.$regularExpression.options};
+			case '$binary':
+			case '$uuid':
+			case '$timestamp':
+			case '$minKey':
+			case '$maxKey':
+				return keys[0]; // Opaque scalar - only its presence matters
+		}
+	}
+
+	return _.mapValues(value, revive);
+};
+
+
+/**
+* Normalise a MongoDB profiler document (from `system.profile`) or JSON slow query log entry (MongoDB 4.4+) into a Monoxide style query object
+* The `find`, `count`, `distinct`, `aggregate` commands, update + remove operations and legacy OP_QUERY queries are understood, all other entries are ignored
+* Aggregation pipelines are returned as-is in `stages`, use `pipeline.getQueries()` to extract their indexable queries
+* @param {Object} entry The profile document or log entry
+* @returns {Object|undefined} An object of the form `{collection, operation, q, millis}` where `operation` is 'find', 'count', 'distinct', 'update' or 'delete' and `q` is of the same form the Monoxide `query` hook receives, `{collection, operation: 'aggregate', stages, millis}` for aggregations or undefined if the entry is not a supported query
+*/
+var normalise = function(entry) {
+	if (entry.msg == 'Slow query' && entry.attr) { // Structured log entry - reshape into a profile document
+		entry = {ns: entry.attr.ns, op: entry.attr.type, command: entry.attr.command, millis: entry.attr.durationMillis};
+	}
+	if (!entry.ns) return;
+
+	var command = revive(entry.command || entry.query || {});
+	var collection = entry.ns.split('.').slice(1).join('.');
+	var operation, filter, sort, collation;
+
+	if (_.isString(command.find)) { // MongoDB >=3.2 find command
+		[collection, operation] = [command.find, 'find'];
+		({filter, sort, collation} = command);
+	} else if (_.isString(command.count)) {
+		[collection, operation, filter, collation] = [command.count, 'count', command.query, command.collation];
+	} else if (_.isString(command.distinct) && command.key) {
+		[collection, operation, filter, collation] = [command.distinct, 'distinct', command.query, command.collation];
+		sort = {[command.key]: 1}; // The key is scanned in order after the query fields, same as the distinct hook
+	} else if (_.isString(command.aggregate)) {
+		if (!_.isArray(command.pipeline) || !command.pipeline.length) return;
+		collection = command.aggregate;
+		if (collection.startsWith('system.')) return;
+		return {collection, operation: 'aggregate', stages: command.pipeline, millis: entry.millis};
+	} else if ((entry.op == 'update' || entry.op == 'remove') && _.isPlainObject(command.q)) { // Individual update / delete statements
+		[operation, filter, collation] = [entry.op == 'update' ? 'update' : 'delete', command.q, command.collation];
+	} else if (entry.op == 'query' && _.isPlainObject(command.$query)) { // Legacy OP_QUERY with modifiers
+		[operation, filter, sort] = ['find', command.$query, command.$orderby];
+	} else {
+		return;
+	}
+
+	if (!collection || collection.startsWith('system.')) return;
+
+	return {
+		collection,
+		operation,
+		q: _.assign(
+			{$collection: collection},
+			filter,
+			_.isEmpty(sort) ? {} : {$sort: sort},
+			_.isEmpty(collation) ? {} : {$collation: collation}
+		),
+		millis: entry.millis,
+	};
+};
+
+
+/**
+* Factory function to create a reader for the MongoDB profiler
+* Profiling must be enabled on the database first (e.g. `db.setProfilingLevel(1, {slowms: 100})`), each `read()` returns the entries added since the last read
+* @param {Object} [options] Optional settings to pass to the reader
+* @param {string} [options.collection='system.profile'] The collection to read profile documents from
+* @param {number} [options.batch=1000] The maximum number of profile documents to read at once
+* @param {number} [options.slowMs=0] Only return queries which took at least this many milliseconds
+* @param {Date} [options.since] Only read entries after this time, if omitted all entries are read on the first call
+* @returns {Object} The profiler reader object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		collection: 'system.profile',
+		batch: 1000,
+		slowMs: 0,
+	});
+
+	var profiler = {
+		since: settings.since, // Timestamp of the last entry read
+	};
+
+
+	/**
+	* Read the profile entries added since the last read
+	* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+	* @param {function} callback The callback to fire as (err, queries) where each query is of the form returned by `normalise()`
+	*/
+	profiler.read = function(db, callback) {
+		db.collection(settings.collection)
+			.find(profiler.since ? {ts: {$gt: profiler.since}} : {})
+			.sort({ts: 1})
+			.limit(settings.batch)
+			.toArray((err, docs) => {
+				if (err) return callback(err);
+				if (docs.length) profiler.since = _.last(docs).ts;
+
+				var queries = docs
+					.map(normalise)
+					.filter(query => query && (query.millis || 0) >= settings.slowMs);
+
+				debug('Read', docs.length, 'profile entries of which', queries.length, 'are queries');
+				callback(null, queries);
+			});
+	};
+
+	return profiler;
+};
+
+module.exports.normalise = normalise;
+module.exports.revive = revive;
@@ -0,0 +1,142 @@
+var _ = require('lodash');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* Factory function to create a queue of index builds
+* Jobs are deduplicated by their ID so that the same index spec is only ever pending or running once at a time
+* @param {Object} [options] Optional settings to pass to the queue
+* @param {number} [options.concurrency=1] How many builds to run at once
+* @param {number} [options.failedLimit=100] The maximum number of failed jobs to remember
+* @param {boolean} [options.paused=false] Start the queue paused, jobs are queued but not run until `resume()` is called
+* @returns {Object} The queue object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		concurrency: 1,
+		failedLimit: 100,
+		paused: false,
+	});
+
+	var queue = {
+		paused: settings.paused,
+		pending: [],
+		running: [],
+		failed: [],
+		drainCallbacks: [],
+	};
+
+
+	/**
+	* Add a job to the queue
+	* If a job with the same ID is already pending or running the callback is attached to that job instead
+	* @param {string} id The unique ID of the job, usually the index ID
+	* @param {function} worker The function to run as (done) which should call done with an optional error when complete
+	* @param {Object} [meta] Optional meta information to store against the job, this is returned by status()
+	* @param {function} [callback] Optional callback to fire as (err) when the job has completed
+	* @returns {boolean} Whether the job was added, false if it was a duplicate
+	*/
+	queue.add = function(id, worker, meta, callback) {
+		var existing = queue.pending.find(j => j.id == id) || queue.running.find(j => j.id == id);
+		if (existing) {
+			debug('Build queue already has job', id);
+			if (callback) existing.callbacks.push(callback);
+			return false;
+		}
+
+		queue.pending.push({
+			id,
+			worker,
+			meta: meta || {},
+			callbacks: callback ? [callback] : [],
+			queued: new Date(),
+		});
+		queue.process();
+		return true;
+	};
+
+
+	/**
+	* Start as many pending jobs as the concurrency allows
+	*/
+	queue.process = function() {
+		while (!queue.paused && queue.pending.length && queue.running.length < settings.concurrency) {
+			var job = queue.pending.shift();
+			job.started = new Date();
+			queue.running.push(job);
+			queue.run(job);
+		}
+
+		if (!queue.pending.length && !queue.running.length && queue.drainCallbacks.length) {
+			var callbacks = queue.drainCallbacks;
+			queue.drainCallbacks = [];
+			callbacks.forEach(cb => cb());
+		}
+	};
+
+
+	/**
+	* Run a single job and handle its completion
+	* @param {Object} job The job to run
+	*/
+	queue.run = function(job) {
+		job.worker(_.once(err => {
+			_.pull(queue.running, job);
+			_.remove(queue.failed, j => j.id == job.id);
+
+			if (err) {
+				debug('Build queue job', job.id, 'failed', err);
+				queue.failed.push(_.assign(job, {error: err, failed: new Date()}));
+				if (queue.failed.length > settings.failedLimit) queue.failed.shift();
+			}
+
+			job.callbacks.forEach(cb => cb(err));
+			queue.process();
+		}));
+	};
+
+
+	/**
+	* Stop starting new jobs, any running jobs are allowed to finish
+	*/
+	queue.pause = function() {
+		queue.paused = true;
+	};
+
+
+	/**
+	* Start running pending jobs again after `pause()`
+	*/
+	queue.resume = function() {
+		queue.paused = false;
+		queue.process();
+	};
+
+
+	/**
+	* Return the current status of the queue
+	* @returns {Object} An object with the boolean `paused` and the keys `pending`, `running` and `failed`, each an array of jobs in the form `{id, queued, ...meta}` (running jobs also have `started`, failed jobs have `error` + `failed`)
+	*/
+	queue.status = function() {
+		var format = job => _.assign(_.pick(job, ['id', 'queued', 'started', 'error', 'failed']), job.meta);
+
+		return {
+			paused: queue.paused,
+			pending: queue.pending.map(format),
+			running: queue.running.map(format),
+			failed: queue.failed.map(format),
+		};
+	};
+
+
+	/**
+	* Call a callback when the queue is next empty
+	* If the queue is already empty the callback is called immediately
+	* @param {function} callback The callback to call
+	*/
+	queue.drain = function(callback) {
+		if (!queue.pending.length && !queue.running.length) return callback();
+		queue.drainCallbacks.push(callback);
+	};
+
+	return queue;
+};
@@ -0,0 +1,137 @@
+var _ = require('lodash');
+var async = require('async-chainable');
+var {getIndexId, getIndexSpec, getIndexStats, isAutoCreated, isCoveredBy} = require('./indexes');
+
+/**
+* Build a report of existing indexes, indexes that would be created and indexes that would be dropped
+* This function only reads from the database
+* @param {Object} options Settings to build the report with
+* @param {Object} options.models The Monoxide models to report on, keyed by model ID
+* @param {Object} options.shapes The query shape counters, as returned by `tracker.status()`
+* @param {function} options.clean Function called as (callback) which should return the indexes the cleaner would drop (see `cleanIndexes()`)
+* @param {string} [options.namePrefix='autoIndex_'] The index name prefix used to identify indexes created by this plugin
+* @param {Object} [options.verifications] Verification results keyed by index ID (see `lib/verify.js`), candidates which failed verification are not listed as they will not be rebuilt
+* @param {Object} [options.staged] The state of indexes staged for removal keyed by `${collection}.${indexName}` (see `lib/staging.js`)
+* @param {function} callback The callback to fire as (err, report)
+*/
+var build = function(options, callback) {
+	var settings = _.defaults(options, {
+		namePrefix: 'autoIndex_',
+		verifications: {},
+		staged: {},
+	});
+
+	async()
+		// Fetch existing indexes {{{
+		.map('existing', settings.models, function(next, model) {
+			getIndexStats(model, next);
+		})
+		// }}}
+		// Ask the cleaner what it would drop {{{
+		.then('drop', function(next) {
+			settings.clean(next);
+		})
+		// }}}
+		// Build the report {{{
+		.then('report', function(next) {
+			next(null, {
+				created: new Date(),
+				models: _.mapValues(settings.models, (model, modelId) => ({
+					existing: this.existing[modelId].map(index => ({
+						id: index.id,
+						name: index.name,
+						key: index.spec,
+						hits: index.hits,
+						since: index.since,
+						autoCreated: isAutoCreated(index, settings.namePrefix),
+						verification: settings.verifications[index.id],
+						staged: settings.staged[model.$collection + '.' + index.name]
+							? _.pick(settings.staged[model.$collection + '.' + index.name], ['hidden', 'until', 'reason', 'regressions'])
+							: undefined,
+					})),
+					create: _(settings.shapes[modelId])
+						.flatMap((shape, shapeId) => (shape.indexes || []).map(index => ({
+							key: getIndexSpec(index),
+							shape: shapeId,
+							hits: shape.hits,
+							promoted: shape.promoted,
+						})))
+						.filter(candidate => !this.existing[modelId].some(index => isCoveredBy(candidate.key, index.spec)))
+						.filter(candidate => _.get(settings.verifications, [getIndexId(modelId, candidate.key), 'effective'], true)) // Failed verification - wont be rebuilt
+						.groupBy(candidate => getIndexId(modelId, candidate.key))
+						.map((candidates, id) => ({
+							id,
+							key: candidates[0].key,
+							hits: _.sumBy(candidates, 'hits'),
+							shapes: candidates.map(c => _.pick(c, ['shape', 'hits', 'promoted'])),
+						}))
+						.sortBy(candidate => -candidate.hits)
+						.value(),
+					drop: this.drop
+						.filter(index => index.model === model)
+						.map(index => ({
+							id: index.id,
+							name: index.name,
+							key: index.spec,
+							hits: index.hits,
+							reason: index.reason,
+						})),
+				})),
+			});
+		})
+		// }}}
+		// End {{{
+		.end(function(err) {
+			if (err) return callback(err);
+			callback(null, this.report);
+		});
+		// }}}
+};
+
+
+/**
+* Format a report as Markdown
+* @param {Object} report The report to format, as returned by `build()`
+* @returns {string} The Markdown report
+*/
+var toMarkdown = function(report) {
+	var table = (headers, rows) =>
+		'| ' + headers.join(' | ') + ' |\n'
+		+ '|' + headers.map(()=> '---').join('|') + '|\n'
+		+ rows.map(row => '| ' + row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ') + ' |\n').join('');
+
+	var key = key => '`' + JSON.stringify(key) + '`';
+
+	return '# Index report\n'
+		+ `Generated ${report.created.toISOString()}\n`
+		+ _.map(report.models, (model, modelId) =>
+			`\n## ${modelId}\n`
+			+ '\n### Existing indexes\n'
+			+ (model.existing.length
+				? table(['ID', 'Key', 'Hits', 'Auto created', 'Verified', 'Staged'], model.existing.map(i => [
+					i.id,
+					key(i.key),
+					i.hits,
+					i.autoCreated ? 'Yes' : 'No',
+					!i.verification ? '-' : i.verification.effective ? 'Yes' : `No - ${i.verification.reason}`,
+					!i.staged ? '-' : `Hidden until ${new Date(i.staged.until).toISOString()}` + (i.staged.regressions.length ? ` (${i.staged.regressions.length} regressions)` : ''),
+				]))
+				: 'None\n'
+			)
+			+ '\n### Would create\n'
+			+ (model.create.length
+				? table(['ID', 'Key', 'Hits', 'Query shapes'], model.create.map(i => [i.id, key(i.key), i.hits, i.shapes.map(s => '`' + s.shape + '`').join(', ')]))
+				: 'None\n'
+			)
+			+ '\n### Would drop\n'
+			+ (model.drop.length
+				? table(['ID', 'Key', 'Hits', 'Reason'], model.drop.map(i => [i.id, key(i.key), i.hits, i.reason]))
+				: 'None\n'
+			)
+		).join('');
+};
+
+module.exports = {
+	build,
+	toMarkdown,
+};
@@ -0,0 +1,162 @@
+var _ = require('lodash');
+var async = require('async-chainable');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* The fields of a cron expression in order
+* @var {array}
+*/
+var cronFields = [
+	{name: 'minute', min: 0, max: 59, get: date => date.getMinutes()},
+	{name: 'hour', min: 0, max: 23, get: date => date.getHours()},
+	{name: 'day of month', min: 1, max: 31, get: date => date.getDate()},
+	{name: 'month', min: 1, max: 12, get: date => date.getMonth() + 1},
+	{name: 'day of week', min: 0, max: 7, get: date => date.getDay()}, // 0 + 7 are both Sunday
+];
+
+
+/**
+* Parse a five field cron expression (minute, hour, day of month, month, day of week) into a matching function
+* Each field supports `*`, single values, ranges (`1-5`), steps (`0-59/15`, `5/10`) and comma separated lists of these. All fields must match (there is no special day of month / day of week handling)
+* @param {string} expression The cron expression to parse (e.g. `0 2 * * 1-5` for 2am on weekdays)
+* @returns {function} Function called as `(date)` which returns whether the date (in local time) matches the expression
+*/
+var parseCron = function(expression) {
+	var parts = _.trim(expression).split(/\s+/);
+	if (parts.length != cronFields.length) throw new Error(`Invalid cron expression "${expression}" - expected ${cronFields.length} fields`);
+
+	var allowed = parts.map((part, offset) => {
+		var field = cronFields[offset];
+
+		return _.flatMap(part.split(','), item => {
+			var [range, step] = item.split('/');
+			var [from, to] = range == '*' ? [field.min, field.max] : range.split('-').map(Number);
+			if (to === undefined) to = step ? field.max : from; // `5/10` = every 10 from 5
+			step = step ? Number(step) : 1;
+
+			if ([from, to, step].some(isNaN) || from < field.min || to > field.max || from > to || step < 1)
+				throw new Error(`Invalid ${field.name} "${item}" in cron expression "${expression}"`);
+
+			return _.range(from, to + 1, step);
+		});
+	});
+
+	if (allowed[4].includes(7)) allowed[4].push(0); // Treat 7 as Sunday
+
+	return date => cronFields.every((field, offset) => allowed[offset].includes(field.get(date)));
+};
+
+
+/**
+* Factory function to create a maintenance window scheduler
+* Windows are defined by a cron expression for their start time and a duration, `onStart` is called when a window opens and `onEnd` when it closes
+* The scheduler checks the time every `interval` or whenever `tick()` is called
+* @param {Object} options Settings to pass to the scheduler
+* @param {array} options.windows Array of windows, each either a cron expression string or an object of the form `{cron, duration}`
+* @param {number} [options.duration=1000*60*60] The default duration of a window in milliseconds
+* @param {number} [options.interval=1000*60] How often in milliseconds to check whether a window has opened or closed when started
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @param {function} [options.onStart] Function called as `(window, callback)` when a window opens, window is of the form `{cron, start, end}`
+* @param {function} [options.onEnd] Function called as `(window, callback)` when a window closes
+* @returns {Object} The scheduler object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		windows: [],
+		duration: 1000 * 60 * 60, // 1h
+		interval: 1000 * 60, // 1m
+		now: Date.now,
+		onStart: (window, callback) => callback(),
+		onEnd: (window, callback) => callback(),
+	});
+
+	var windows = settings.windows
+		.map(window => _.isString(window) ? {cron: window} : window)
+		.map(window => ({
+			cron: window.cron,
+			duration: window.duration || settings.duration,
+			matches: parseCron(window.cron),
+		}));
+
+	var scheduler = {
+		active: undefined, // The currently open window
+		timer: undefined,
+	};
+
+
+	/**
+	* Find the window (if any) which is open at a given time
+	* @param {number} time The time in milliseconds to examine
+	* @returns {Object|undefined} The open window of the form `{cron, start, end}` or undefined if no window is open
+	*/
+	scheduler.getWindow = function(time) {
+		var minute = time - (time % (1000 * 60));
+
+		return _(windows)
+			.map(window => {
+				for (var start = minute; start > time - window.duration; start -= 1000 * 60) { // Walk backwards looking for the most recent start time
+					if (window.matches(new Date(start))) return {cron: window.cron, start: new Date(start), end: new Date(start + window.duration)};
+				}
+			})
+			.filter()
+			.minBy(window => window.start); // If windows overlap use the one that opened first
+	};
+
+
+	/**
+	* Check whether a window has opened or closed since the last check, calling `onStart` / `onEnd` as needed
+	* @param {function} [callback] Optional callback to fire as (err) when any `onStart` / `onEnd` calls have completed
+	*/
+	scheduler.tick = function(callback) {
+		var window = scheduler.getWindow(settings.now());
+
+		async()
+			// Close the active window if it has ended {{{
+			.then(function(next) {
+				if (!scheduler.active || (window && window.start.getTime() == scheduler.active.start.getTime())) return next();
+				var ended = scheduler.active;
+				scheduler.active = undefined;
+				debug('Maintenance window', ended.cron, 'closed');
+				settings.onEnd(ended, next);
+			})
+			// }}}
+			// Open a new window {{{
+			.then(function(next) {
+				if (!window || scheduler.active) return next();
+				scheduler.active = window;
+				debug('Maintenance window', window.cron, 'opened until', window.end);
+				settings.onStart(window, next);
+			})
+			// }}}
+			.end(callback || _.noop);
+	};
+
+
+	/**
+	* Start checking the time every `interval`
+	* @returns {Object} The chainable scheduler object
+	*/
+	scheduler.start = function() {
+		scheduler.stop();
+		scheduler.timer = setInterval(()=> scheduler.tick(), settings.interval);
+		if (scheduler.timer.unref) scheduler.timer.unref(); // Dont keep the process alive just for the scheduler
+		scheduler.tick();
+		return scheduler;
+	};
+
+
+	/**
+	* Stop checking the time
+	* Any open window is left open
+	* @returns {Object} The chainable scheduler object
+	*/
+	scheduler.stop = function() {
+		clearInterval(scheduler.timer);
+		scheduler.timer = undefined;
+		return scheduler;
+	};
+
+	return scheduler;
+};
+
+module.exports.parseCron = parseCron;
@@ -0,0 +1,117 @@
+var _ = require('lodash');
+var debug = require('debug')('monoxide-auto-indexer');
+
+/**
+* Decide what to do with an index selected for removal when staging removals
+* @param {Object} [staged] The staged state of the index, if any, as returned by `load()`
+* @param {number} now The current time in milliseconds
+* @returns {string} The action to take. 'hide' if the index is not yet staged, 'wait' if its trial is still running, 'restore' if regressions were seen during the trial or 'drop' if the trial passed cleanly
+*/
+var getAction = function(staged, now) {
+	if (!staged) return 'hide';
+	if (now < new Date(staged.until).getTime()) return 'wait';
+	if (staged.regressions && staged.regressions.length) return 'restore';
+	return 'drop';
+};
+
+
+/**
+* Factory function to create a store of indexes staged for removal
+* Staged indexes are hidden from the query planner for a trial period before being dropped, any queries which needed the index during the trial are recorded as regressions
+* State is stored in a MongoDB collection with one document per index of the form `{_id, collection, name, key, reason, hidden, until, regressions}`
+* @param {Object} [options] Optional settings to pass to the store
+* @param {string} [options.collection='autoIndexerStaged'] The collection to store the staged state within
+* @param {number} [options.regressionLimit=10] The maximum number of regressions to remember for each index
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The staging store object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		collection: 'autoIndexerStaged',
+		regressionLimit: 10,
+		now: Date.now,
+	});
+
+	var staging = {};
+
+
+	/**
+	* Load all staged indexes
+	* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+	* @param {function} callback The callback to fire as (err, staged) where staged is an object with each key being `${collection}.${indexName}`
+	*/
+	staging.load = function(db, callback) {
+		db.collection(settings.collection).find({}).toArray((err, docs) => {
+			if (err) return callback(err);
+			callback(null, _.keyBy(docs, '_id'));
+		});
+	};
+
+
+	/**
+	* Record that an index has been hidden and when its trial ends
+	* @param {Object} db The MongoDB database object
+	* @param {Object} index The index stats, as returned by `getIndexStats()`
+	* @param {number} trialPeriod How long in milliseconds the trial runs for
+	* @param {function} callback The callback to fire as (err, staged) with the new staged state
+	*/
+	staging.stage = function(db, index, trialPeriod, callback) {
+		var now = settings.now();
+		var doc = {
+			_id: index.model.$collection + '.' + index.name,
+			collection: index.model.$collection,
+			name: index.name,
+			key: index.spec,
+			reason: index.reason,
+			hidden: new Date(now),
+			until: new Date(now + trialPeriod),
+			regressions: [],
+		};
+
+		db.collection(settings.collection).insertOne(doc, err => {
+			if (err) return callback(err);
+			callback(null, doc);
+		});
+	};
+
+
+	/**
+	* Record a regression against a staged index
+	* Indexes which are not staged (e.g. hidden manually) are ignored
+	* @param {Object} db The MongoDB database object
+	* @param {string} collection The collection / model ID of the index
+	* @param {string} name The name of the index
+	* @param {string} reason The human readable reason for the regression
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	staging.regress = function(db, collection, name, reason, callback) {
+		debug('Recording regression against staged index', collection + '.' + name, '-', reason);
+		db.collection(settings.collection).updateOne({_id: collection + '.' + name}, {
+			$push: {
+				regressions: {
+					$each: [{reason, seen: new Date(settings.now())}],
+					$slice: 0 - settings.regressionLimit,
+				},
+			},
+		}, {}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+
+	/**
+	* Forget the staged state of an index, after it has been dropped or restored
+	* @param {Object} db The MongoDB database object
+	* @param {string} id The staged ID of the index in the form `${collection}.${indexName}`
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	staging.remove = function(db, id, callback) {
+		db.collection(settings.collection).deleteOne({_id: id}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+	return staging;
+};
+
+module.exports.getAction = getAction;
@@ -0,0 +1,145 @@
+var _ = require('lodash');
+
+/**
+* Factory function to create a query shape frequency tracker
+* Hits are counted in buckets so that the number of hits within a sliding time window can be calculated without storing every hit
+* @param {Object} [options] Optional settings to pass to the tracker
+* @param {number} [options.window=1000*60*60] The sliding time window in milliseconds to count hits within
+* @param {number} [options.buckets=60] How many buckets to split the window into, higher values are more accurate but use more memory
+* @param {number} [options.threshold=1] How many hits within the window a shape needs before it is promoted
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The tracker object
+*/
+module.exports = function(options) {
+	var settings = _.defaults(options, {
+		window: 1000 * 60 * 60, // 1h
+		buckets: 60,
+		threshold: 1,
+		now: Date.now,
+	});
+
+	var tracker = {
+		shapes: {}, // Collection => Shape => {buckets, first, last, indexes}
+	};
+
+	var bucketSize = Math.max(1, Math.floor(settings.window / settings.buckets));
+	var lastSweep = 0; // When `sweep()` last ran
+
+
+	/**
+	* Remove buckets which have fallen out of the time window from a shape
+	* @param {Object} shape The shape object to prune
+	* @param {number} now The current time in milliseconds
+	*/
+	var prune = function(shape, now) {
+		shape.buckets = _.pickBy(shape.buckets, (count, bucket) => bucket > now - settings.window);
+	};
+
+
+	/**
+	* Remove shapes with no hits within the time window, and collections with no shapes left
+	* This runs at most once per bucket so that long running processes with changing query shapes do not grow without bound
+	* @param {number} now The current time in milliseconds
+	*/
+	var sweep = function(now) {
+		if (now - lastSweep < bucketSize) return;
+		lastSweep = now;
+
+		_.forEach(tracker.shapes, (shapes, collection) => {
+			_.forEach(shapes, (entry, shape) => {
+				prune(entry, now);
+				if (_.isEmpty(entry.buckets)) delete shapes[shape];
+			});
+			if (_.isEmpty(shapes)) delete tracker.shapes[collection];
+		});
+	};
+
+
+	/**
+	* Count the hits for a shape within the time window
+	* @param {Object} shape The shape object to count
+	* @returns {number} The number of hits within the window
+	*/
+	var count = function(shape) {
+		return _.sum(_.values(shape.buckets));
+	};
+
+
+	/**
+	* Record a hit against a query shape
+	* @param {string} collection The collection / model ID the query was made against
+	* @param {string} shape The normalised query shape (see `lib/analyser.js`)
+	* @param {Object} [meta] Optional meta information to store against the shape, such as the candidate indexes
+	* @param {Object} [values] Optional object of scalar equality values used by the query, used to detect fields which always use the same value
+	* @returns {Object} Object of the form `{shape, hits, threshold, promoted, total, constants}` where `total` is the number of hits since the shape was first seen and `constants` is an object of the fields (and their values) which have used the same value for every hit
+	*/
+	tracker.hit = function(collection, shape, meta, values) {
+		var now = settings.now();
+		var bucket = now - (now % bucketSize);
+		sweep(now);
+
+		if (!tracker.shapes[collection]) tracker.shapes[collection] = {};
+		if (!tracker.shapes[collection][shape]) tracker.shapes[collection][shape] = {
+			buckets: {},
+			first: new Date(now),
+			total: 0,
+			constants: _.mapValues(values, value => ({value, hits: 0})),
+		};
+
+		var entry = tracker.shapes[collection][shape];
+		prune(entry, now);
+		entry.buckets[bucket] = (entry.buckets[bucket] || 0) + 1;
+		entry.last = new Date(now);
+		entry.total++;
+		if (meta) _.assign(entry, meta);
+
+		// Track which fields always use the same value {{{
+		entry.constants = _.pickBy(entry.constants, (constant, field) => {
+			if (!values || !_.has(values, field) || !_.isEqual(values[field], constant.value)) return false; // Value has changed - this field is no longer constant
+			constant.hits++;
+			return true;
+		});
+		// }}}
+
+		var hits = count(entry);
+		return {
+			shape,
+			hits,
+			threshold: settings.threshold,
+			promoted: hits >= settings.threshold,
+			total: entry.total,
+			constants: _.mapValues(entry.constants, 'value'),
+		};
+	};
+
+
+	/**
+	* Return the current counters for all tracked shapes
+	* Shapes with no hits within the time window are removed
+	* @param {string} [collection] Optional collection to limit the output to
+	* @returns {Object} Object of the form `{collection: {shape: {hits, promoted, first, last, ...meta}}}`
+	*/
+	tracker.status = function(collection) {
+		var now = settings.now();
+
+		return _(tracker.shapes)
+			.pickBy((shapes, id) => !collection || id == collection)
+			.mapValues(shapes => {
+				_.forEach(shapes, (entry, shape) => {
+					prune(entry, now);
+					if (_.isEmpty(entry.buckets)) delete shapes[shape];
+				});
+
+				return _.mapValues(shapes, entry => {
+					var hits = count(entry);
+					return _.assign(_.omit(entry, 'buckets'), {
+						hits,
+						promoted: hits >= settings.threshold,
+					});
+				});
+			})
+			.value();
+	};
+
+	return tracker;
+};
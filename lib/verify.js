@@ -0,0 +1,145 @@
+var _ = require('lodash');
+var {getIndexSpec} = require('./indexes');
+
+/**
+* Query operators which are passed through to MongoDB as-is, all other `$` prefixed keys are Monoxide meta keys (`$sort`, `$limit` etc.)
+* @var {array}
+*/
+var queryOperators = ['$and', '$or', '$nor', '$text', '$where', '$expr', '$comment'];
+
+
+/**
+* Extract the MongoDB filter from a Monoxide query object
+* @param {Object} q The Monoxide query object as passed to the `query` hook
+* @returns {Object} The MongoDB filter
+*/
+var getFilter = function(q) {
+	return _.pickBy(q, (v, k) => !k.startsWith('$') || queryOperators.includes(k));
+};
+
+
+/**
+* Summarise the output of `explain('executionStats')`
+* @param {Object} explain The raw explain output
+* @returns {Object} An object of the form `{docsExamined, keysExamined, indexes, stages}` where `indexes` is an array of the index names used by the winning plan and `stages` is an array of the stages it used
+*/
+var summarise = function(explain) {
+	var indexes = [];
+	var stages = [];
+
+	var walkPlan = plan => {
+		if (!_.isPlainObject(plan)) return;
+		if (plan.stage) stages.push(plan.stage);
+		if (plan.indexName) indexes.push(plan.indexName);
+		[plan.queryPlan, plan.inputStage, ...(plan.inputStages || [])].forEach(walkPlan); // MongoDB >=5 wraps the plan in `queryPlan`
+	};
+	walkPlan(_.get(explain, 'queryPlanner.winningPlan'));
+
+	return {
+		docsExamined: _.get(explain, 'executionStats.totalDocsExamined', 0),
+		keysExamined: _.get(explain, 'executionStats.totalKeysExamined', 0),
+		indexes: _.uniq(indexes),
+		stages: _.uniq(stages),
+	};
+};
+
+
+/**
+* Compare the query plans before and after an index was built
+* An index is effective if the winning plan uses it after it was built
+* @param {string} name The name of the new index
+* @param {Object} before The summary of the plan before the index was built (see `summarise()`)
+* @param {Object} after The summary of the plan after the index was built (see `summarise()`)
+* @returns {Object} An object of the form `{name, effective, before, after, reason}`
+*/
+var compare = function(name, before, after) {
+	var used = after.indexes.includes(name);
+
+	return {
+		name,
+		effective: used,
+		before,
+		after,
+		reason:
+			!used ? `Not used by the winning plan (${after.indexes.length ? 'used ' + after.indexes.join(', ') : after.stages.join(', ')})`
+			: `Documents examined ${before.docsExamined} → ${after.docsExamined}`,
+	};
+};
+
+
+/**
+* Run `explain('executionStats')` for a Monoxide query against a model
+* The raw MongoDB collection is used as Mongoose does not expose explain() on all versions, values are not cast but only the plan is of interest
+* @param {MonoxideModel} model The model to query
+* @param {Object} q The Monoxide query object as passed to the `query` hook
+* @param {array} sort The normalised sort fields (see `analyser.normaliseSort()`)
+* @param {function} callback The callback to fire as (err, summary) see `summarise()`
+*/
+var explain = function(model, q, sort, callback) {
+	var cursor = model.$mongoModel.find(getFilter(q)); // $mongoModel is the raw driver collection
+	if (sort.length) cursor.sort(getIndexSpec(sort));
+	if (q.$collation) cursor.collation(q.$collation);
+
+	cursor.explain((err, res) => {
+		if (err) return callback(err);
+		callback(null, summarise(res));
+	});
+};
+
+
+/**
+* Factory function to create a store of verification results
+* Results are stored in a MongoDB collection with one document per index of the form `{_id, collection, name, effective, before, after, reason, verified}` where `_id` is the index ID, so indexes which failed verification are remembered across restarts
+* @param {Object} [options] Optional settings to pass to the store
+* @param {string} [options.collection='autoIndexerVerifications'] The collection to store the results within
+* @param {function} [options.now=Date.now] Function to return the current time in milliseconds
+* @returns {Object} The verification store object
+*/
+var store = function(options) {
+	var settings = _.defaults(options, {
+		collection: 'autoIndexerVerifications',
+		now: Date.now,
+	});
+
+	var verifications = {};
+
+
+	/**
+	* Load all verification results
+	* @param {Object} db The MongoDB database object (usually `monoxide.connection.db`)
+	* @param {function} callback The callback to fire as (err, verifications) where verifications is an object keyed by index ID
+	*/
+	verifications.load = function(db, callback) {
+		db.collection(settings.collection).find({}).toArray((err, docs) => {
+			if (err) return callback(err);
+			callback(null, _.keyBy(docs, '_id'));
+		});
+	};
+
+
+	/**
+	* Record the verification result of an index, replacing any earlier result
+	* @param {Object} db The MongoDB database object
+	* @param {string} collection The collection / model ID of the index
+	* @param {string} id The index ID (see `getIndexId()`)
+	* @param {Object} verification The verification result (see `compare()`)
+	* @param {function} [callback] Optional callback to fire as (err)
+	*/
+	verifications.save = function(db, collection, id, verification, callback) {
+		db.collection(settings.collection).updateOne({_id: id}, {
+			$set: _.assign({collection}, _.pick(verification, ['name', 'effective', 'before', 'after', 'reason']), {verified: new Date(settings.now())}),
+		}, {upsert: true}, err => {
+			if (callback) callback(err);
+		});
+	};
+
+	return verifications;
+};
+
+module.exports = {
+	compare,
+	explain,
+	getFilter,
+	store,
+	summarise,
+};
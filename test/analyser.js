@@ -0,0 +1,167 @@
+var expect = require('chai').expect;
+var analyser = require('../lib/analyser');
+
+describe('monoxide-auto-indexer - query analyser', function() {
+
+	it('should classify equality fields', ()=> {
+		expect(analyser({
+			$collection: 'users',
+			name: 'Joe Random',
+			created: new Date(),
+			role: {$eq: 'user'},
+			status: {$in: ['active']},
+			settings: {lang: 'en'},
+		}).fields).to.deep.equal({
+			name: 'equality',
+			created: 'equality',
+			role: 'equality',
+			status: 'equality',
+			settings: 'equality',
+		});
+	});
+
+	it('should classify set, range and existence fields', ()=> {
+		expect(analyser({
+			role: {$in: ['user', 'admin']},
+			created: {$gt: new Date(), $lte: new Date()},
+			number: {$lt: 10, $ne: 5},
+			greeting: {$exists: true},
+		}).fields).to.deep.equal({
+			role: 'set',
+			created: 'range',
+			number: 'range',
+			greeting: 'exists',
+		});
+	});
+
+	it('should classify negation fields', ()=> {
+		expect(analyser({
+			role: {$ne: 'user'},
+			status: {$nin: ['active', 'deleted']},
+			name: {$not: /^Joe/},
+		}).fields).to.deep.equal({
+			role: 'negation',
+			status: 'negation',
+			name: 'negation',
+		});
+	});
+
+	it('should classify regular expressions by whether they can use an index', ()=> {
+		expect(analyser({
+			anchored: /^Joe/,
+			anchoredString: {$regex: '^Joe'},
+			caseless: /^joe/i,
+			caselessString: {$regex: '^joe', $options: 'i'},
+			unanchored: /Random/,
+			unanchoredString: {$regex: 'Random'},
+		}).fields).to.deep.equal({
+			anchored: 'range',
+			anchoredString: 'range',
+			caseless: 'regex',
+			caselessString: 'regex',
+			unanchored: 'regex',
+			unanchoredString: 'regex',
+		});
+	});
+
+	it('should classify geospatial and text queries', ()=> {
+		expect(analyser({
+			location: {$near: {$geometry: {type: 'Point', coordinates: [0, 0]}}, $maxDistance: 100},
+			area: {$geoWithin: {$centerSphere: [[0, 0], 1]}},
+			bounds: {$geoIntersects: {$geometry: {type: 'Point', coordinates: [0, 0]}}},
+		}).fields).to.deep.equal({
+			location: 'geo',
+			area: 'geo',
+			bounds: 'geo',
+		});
+
+		var analysis = analyser({role: 'user', $text: {$search: 'Joe'}});
+		expect(analysis.fields).to.deep.equal({role: 'equality', $text: 'text'});
+		expect(analysis.shape).to.equal('{$text:text,role:equality}');
+	});
+
+	it('should classify unknown operators', ()=> {
+		expect(analyser({items: {$size: 2}}).fields).to.deep.equal({items: 'unknown'});
+	});
+
+	it('should merge $and branches into the parent', ()=> {
+		var analysis = analyser({
+			role: 'user',
+			$and: [
+				{name: /^Joe/},
+				{created: {$gt: new Date()}},
+				{name: 'Joe Random'},
+			],
+		});
+		expect(analysis.fields).to.deep.equal({
+			role: 'equality',
+			name: 'equality',
+			created: 'range',
+		});
+		expect(analysis.branches).to.have.length(1);
+	});
+
+	it('should split $or queries into branches', ()=> {
+		var analysis = analyser({
+			role: 'user',
+			$or: [
+				{name: 'Joe Random'},
+				{created: {$gt: new Date()}, status: {$in: ['active', 'deleted']}},
+			],
+		});
+		expect(analysis.fields).to.deep.equal({role: 'equality'});
+		expect(analysis.branches).to.deep.equal([
+			{role: 'equality', name: 'equality'},
+			{role: 'equality', created: 'range', status: 'set'},
+		]);
+	});
+
+	it('should multiply out nested $or queries', ()=> {
+		var analysis = analyser({
+			$and: [
+				{$or: [{a: 1}, {b: 1}]},
+				{$or: [{c: 1}, {d: 1}]},
+			],
+		});
+		expect(analysis.fields).to.deep.equal({});
+		expect(analysis.branches).to.deep.equal([
+			{a: 'equality', c: 'equality'},
+			{a: 'equality', d: 'equality'},
+			{b: 'equality', c: 'equality'},
+			{b: 'equality', d: 'equality'},
+		]);
+	});
+
+	it('should ignore $nor branches', ()=> {
+		var analysis = analyser({
+			role: 'user',
+			$nor: [{name: 'Joe Random'}, {status: 'deleted'}],
+		});
+		expect(analysis.fields).to.deep.equal({role: 'equality'});
+		expect(analysis.branches).to.deep.equal([{role: 'equality'}]);
+	});
+
+	it('should compute the same shape for queries differing only by value or order', ()=> {
+		var shape = analyser({role: 'user', name: {$gt: 'A'}, $sort: '-created'}).shape;
+		expect(shape).to.equal('{name:range,role:equality} sort:-created');
+		expect(analyser({name: {$lt: 'Z'}, role: 'admin', $sort: '-created'}).shape).to.equal(shape);
+		expect(analyser({role: 'user', $sort: '-created'}).shape).to.not.equal(shape);
+		expect(analyser({$or: [{a: 1}, {b: 1}]}).shape).to.equal('{a:equality}|{b:equality}');
+	});
+
+	it('should extract the scalar values of equality fields', ()=> {
+		expect(analyser({deleted: false, role: 'admin', age: {$gt: 18}, tags: {$all: ['a']}, status: null}).values)
+			.to.deep.equal({deleted: false, role: 'admin', status: null});
+	});
+
+	it('should normalise sort specifications', ()=> {
+		expect(analyser({$sort: 'name'}).sort).to.deep.equal(['name']);
+		expect(analyser({$sort: 'name -role'}).sort).to.deep.equal(['name', '-role']);
+		expect(analyser({$sort: ['name', '-role']}).sort).to.deep.equal(['name', '-role']);
+		expect(analyser({$sort: {name: 1, role: -1}}).sort).to.deep.equal(['name', '-role']);
+		expect(analyser({$sort: {name: 'asc', role: 'descending'}}).sort).to.deep.equal(['name', '-role']);
+		expect(analyser({$sort: {score: {$meta: 'textScore'}, created: -1}}).sort).to.deep.equal(['-created']);
+		expect(analyser({}).sort).to.deep.equal([]);
+	});
+
+});
@@ -0,0 +1,151 @@
+var expect = require('chai').expect;
+var fakeDb = require('./fakes/db');
+var memoryCache = require('../lib/cache/memory');
+var mongoCache = require('../lib/cache/mongo');
+
+[
+	{name: 'memory', create: (db, options) => memoryCache(options), shared: false},
+	{name: 'mongo', create: (db, options) => mongoCache(Object.assign({db}, options)), shared: true},
+].forEach(adapter => describe(`monoxide-auto-indexer - cache (${adapter.name})`, function() {
+
+	var now;
+	var db;
+	beforeEach(()=> {
+		now = 1000 * 60 * 60 * 24;
+		db = fakeDb();
+	});
+
+	it('should cache indexes until the TTL expires', done => {
+		var cache = adapter.create(db, {ttl: 1000, now: ()=> now});
+		var indexes = [{name: '_id_', key: {_id: 1}}, {name: '$**_text', key: {_fts: 'text', _ftsx: 1}, weights: {'$**': 1}}];
+
+		cache.get('users', (err, res) => {
+			expect(err).to.be.not.ok;
+			expect(res).to.be.undefined;
+
+			cache.set('users', indexes, err => {
+				expect(err).to.be.not.ok;
+
+				cache.get('users', (err, res) => {
+					expect(err).to.be.not.ok;
+					expect(res).to.deep.equal(indexes);
+
+					now += 1000;
+					cache.get('users', (err, res) => {
+						expect(err).to.be.not.ok;
+						expect(res).to.be.undefined;
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it('should forget indexes on reset', done => {
+		var cache = adapter.create(db, {now: ()=> now});
+
+		cache.set('users', [{name: '_id_', key: {_id: 1}}], ()=>
+			cache.reset('users', ()=>
+				cache.get('users', (err, res) => {
+					expect(err).to.be.not.ok;
+					expect(res).to.be.undefined;
+					done();
+				})
+			)
+		);
+	});
+
+	it('should only grant one build lease at a time', done => {
+		var cache = adapter.create(db, {lease: 1000, now: ()=> now});
+
+		cache.lock('users.name', (err, acquired) => {
+			expect(err).to.be.not.ok;
+			expect(acquired).to.be.true;
+
+			cache.lock('users.name', (err, acquired) => {
+				expect(err).to.be.not.ok;
+				expect(acquired).to.be.false;
+
+				cache.unlock('users.name', ()=>
+					cache.lock('users.name', (err, acquired) => {
+						expect(err).to.be.not.ok;
+						expect(acquired).to.be.true;
+						done();
+					})
+				);
+			});
+		});
+	});
+
+	it('should take over expired build leases', done => {
+		var cache = adapter.create(db, {lease: 1000, now: ()=> now});
+
+		cache.lock('users.name', (err, acquired) => {
+			expect(acquired).to.be.true;
+
+			now += 1001;
+			cache.lock('users.name', (err, acquired) => {
+				expect(err).to.be.not.ok;
+				expect(acquired).to.be.true;
+				done();
+			});
+		});
+	});
+
+	if (adapter.shared) it('should only query the database on a local miss', done => {
+		var reads = 0;
+		var collection = db.collection;
+		db.collection = name => Object.assign(collection(name), {findOne: (...args) => { reads++; return collection(name).findOne(...args) }});
+
+		var worker1 = adapter.create(db, {owner: 'worker1', ttl: 1000, localTtl: 100, now: ()=> now});
+		var worker2 = adapter.create(db, {owner: 'worker2', ttl: 1000, localTtl: 100, now: ()=> now});
+
+		worker1.set('users', [{name: 'name_1', key: {name: 1}}], ()=>
+			worker1.get('users', (err, res) => {
+				expect(res).to.deep.equal([{name: 'name_1', key: {name: 1}}]);
+				expect(reads).to.equal(0); // Set locally
+
+				worker2.get('users', ()=> worker2.get('users', (err, res) => {
+					expect(res).to.deep.equal([{name: 'name_1', key: {name: 1}}]);
+					expect(reads).to.equal(1); // Second read served locally
+
+					worker1.reset('users', ()=> {
+						now += 100;
+						worker2.get('users', (err, res) => {
+							expect(res).to.be.undefined; // Local copy expired, reset seen
+							expect(reads).to.equal(2);
+							done();
+						});
+					});
+				}));
+			})
+		);
+	});
+
+	if (adapter.shared) it('should share indexes and leases between processes', done => {
+		var worker1 = adapter.create(db, {owner: 'worker1', now: ()=> now});
+		var worker2 = adapter.create(db, {owner: 'worker2', now: ()=> now});
+
+		worker1.set('users', [{name: 'name_1', key: {name: 1}}], ()=>
+			worker2.get('users', (err, res) => {
+				expect(res).to.deep.equal([{name: 'name_1', key: {name: 1}}]);
+
+				worker1.lock('users.name', (err, acquired) => {
+					expect(acquired).to.be.true;
+
+					worker2.lock('users.name', (err, acquired) => {
+						expect(acquired).to.be.false;
+
+						worker2.unlock('users.name', ()=> // Not our lease - should be ignored
+							worker2.lock('users.name', (err, acquired) => {
+								expect(acquired).to.be.false;
+								done();
+							})
+						);
+					});
+				});
+			})
+		);
+	});
+
+}));
@@ -0,0 +1,147 @@
+var _ = require('lodash');
+var childProcess = require('child_process');
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('monoxide-auto-indexer - CLI', function() {
+	this.timeout(10 * 1000);
+
+	var bin = path.join(__dirname, '..', 'bin', 'monoxide-auto-indexer.js');
+	var models = path.join(__dirname, 'fixtures', 'models');
+	var stateFile = path.join(os.tmpdir(), `monoxide-auto-indexer-cli-${process.pid}.json`);
+	var planFile = path.join(os.tmpdir(), `monoxide-auto-indexer-plan-${process.pid}.json`);
+
+	after(()=> [stateFile, planFile].forEach(file => fs.existsSync(file) && fs.unlinkSync(file)));
+
+	var userMeta = {
+		_id: {type: 'objectid'},
+		name: {type: 'string'},
+		role: {type: 'string'},
+		status: {type: 'string'},
+	};
+
+	var schemas = ()=> ({users: {meta: userMeta, indexes: [
+		{name: 'autoIndex_role_1', key: {role: 1}, hits: 0},
+		{name: 'autoIndex_status_1', key: {status: 1}, hits: 500},
+	]}});
+
+	/**
+	* Run the CLI against the Monoxide fake (see `test/fakes/cli.js`)
+	* @param {array} args The command line arguments
+	* @param {Object} schemas Models to create, see `test/fakes/monoxide.js`
+	* @param {function} callback Callback fired as (code, stdout, stderr, schemas) where `schemas` are the models as left by the CLI
+	*/
+	var cli = (args, schemas, callback) => {
+		fs.writeFileSync(stateFile, JSON.stringify(schemas));
+
+		childProcess.execFile(process.execPath, ['-r', path.join(__dirname, 'fakes', 'cli.js'), bin, ...args], {
+			env: _.assign(_.omit(process.env, 'MONGO_URI'), {FAKE_MONOXIDE: stateFile}),
+		}, (err, stdout, stderr) => callback(err ? err.code : 0, stdout, stderr, JSON.parse(fs.readFileSync(stateFile, 'utf-8'))));
+	};
+
+
+	describe('arguments', function() {
+
+		it('should require a URI', done => {
+			cli(['--models', models, 'list'], schemas(), (code, stdout, stderr) => {
+				expect(code).to.equal(1);
+				expect(stderr).to.contain('No MongoDB URI specified');
+				done();
+			});
+		});
+
+		it('should require a models directory', done => {
+			cli(['--uri', 'mongodb://localhost/test', 'list'], schemas(), (code, stdout, stderr) => {
+				expect(code).to.equal(1);
+				expect(stderr).to.contain('No models directory specified');
+				done();
+			});
+		});
+
+		it('should reject unknown commands', done => {
+			cli(['--uri', 'mongodb://localhost/test', '--models', models, 'frobnicate'], schemas(), (code, stdout, stderr) => {
+				expect(code).to.equal(1);
+				expect(stderr).to.contain('Unknown command "frobnicate"');
+				done();
+			});
+		});
+
+	});
+
+
+	describe('plan', function() {
+
+		it('should output the indexes the cleaner would drop', done => {
+			cli(['--uri', 'mongodb://localhost/test', '--models', models, 'plan'], schemas(), (code, stdout, stderr, after) => {
+				expect(code).to.equal(0);
+
+				var plan = JSON.parse(stdout);
+				expect(plan).to.have.all.keys('version', 'indexes'); // No timestamp so plans of the same indexes are identical
+				expect(plan.version).to.equal(1);
+				expect(plan.indexes).to.deep.equal([{
+					id: 'users.role',
+					collection: 'users',
+					name: 'autoIndex_role_1',
+					key: {role: 1},
+					hits: 0,
+					reason: 'Only 0 hits (minimum 100)',
+				}]);
+
+				expect(after.users.indexes.map(i => i.name)).to.deep.equal(['autoIndex_role_1', 'autoIndex_status_1']); // Nothing dropped
+				done();
+			});
+		});
+
+	});
+
+
+	describe('apply', function() {
+
+		var plan = indexes => fs.writeFileSync(planFile, JSON.stringify({version: 1, indexes}));
+
+		it('should drop the planned indexes and skip stale or missing ones', done => {
+			plan([
+				{id: 'users.role', collection: 'users', name: 'autoIndex_role_1', key: {role: 1}},
+				{id: 'users.{status,role}', collection: 'users', name: 'autoIndex_status_1', key: {status: 1, role: 1}}, // Same name, different key
+				{id: 'users.name', collection: 'users', name: 'autoIndex_name_1', key: {name: 1}}, // Already dropped
+			]);
+
+			cli(['--uri', 'mongodb://localhost/test', '--models', models, 'apply', planFile], schemas(), (code, stdout, stderr, after) => {
+				expect(code).to.equal(0);
+				expect(stdout.trim().split('\n')).to.deep.equal([
+					'Dropped users.role',
+					'Skipping users.{status,role} - index no longer exists',
+					'Skipping users.name - index no longer exists',
+				]);
+				expect(after.users.indexes.map(i => i.name)).to.deep.equal(['autoIndex_status_1']);
+				done();
+			});
+		});
+
+		it('should not drop anything on a dry run', done => {
+			plan([{id: 'users.role', collection: 'users', name: 'autoIndex_role_1', key: {role: 1}}]);
+
+			cli(['--uri', 'mongodb://localhost/test', '--models', models, 'apply', '--dry-run', planFile], schemas(), (code, stdout, stderr, after) => {
+				expect(code).to.equal(0);
+				expect(stdout.trim()).to.equal('Would drop users.role');
+				expect(after.users.indexes.map(i => i.name)).to.deep.equal(['autoIndex_role_1', 'autoIndex_status_1']);
+				done();
+			});
+		});
+
+		it('should reject plans for unknown models', done => {
+			plan([{id: 'widgets.color', collection: 'widgets', name: 'autoIndex_color_1', key: {color: 1}}]);
+
+			cli(['--uri', 'mongodb://localhost/test', '--models', models, 'apply', planFile], schemas(), (code, stdout, stderr, after) => {
+				expect(code).to.equal(1);
+				expect(stderr).to.contain('Unknown model "widgets" in plan');
+				expect(after.users.indexes).to.have.length(2);
+				done();
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,32 @@
+var _ = require('lodash');
+var fs = require('fs');
+var Module = require('module');
+var path = require('path');
+var fakeMonoxide = require('./monoxide');
+
+/**
+* Preload to run the CLI against the Monoxide fake (e.g. `node -r ./test/fakes/cli bin/monoxide-auto-indexer.js list`)
+* `require('monoxide')` returns a fake created from the schemas in the JSON file named by the `FAKE_MONOXIDE` environment variable (see `test/fakes/monoxide.js`), the model indexes are written back to the same file on exit
+*/
+var file = process.env.FAKE_MONOXIDE;
+var schemas = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+var monoxide = fakeMonoxide(schemas);
+monoxide.connect = (uri, callback) => setImmediate(()=> callback());
+monoxide.use = (plugin, callback) => plugin(callback, monoxide);
+monoxide.connection.close = _.noop;
+
+// Resolve all requires of `monoxide` to the fake {{{
+var id = path.join(__dirname, 'monoxide-cli.js'); // Never loaded from disk, only used as the cache key
+require.cache[id] = _.assign(new Module(id), {filename: id, loaded: true, exports: monoxide});
+
+var resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request) {
+	if (request == 'monoxide' || request == id) return id; // The CLI resolves the path first then requires it
+	return resolveFilename.apply(this, arguments);
+};
+// }}}
+
+process.on('exit', ()=> fs.writeFileSync(file, JSON.stringify(_.mapValues(schemas, (schema, modelId) => _.assign({}, schema, {
+	indexes: monoxide.models[modelId].$indexes.filter(i => i.name != '_id_'),
+})))));
@@ -0,0 +1,65 @@
+var _ = require('lodash');
+
+/**
+* Minimal in-process fake of a MongoDB database object
+* Only supports the subset of collection methods + query operators used by this plugin (`find` + `sort` / `limit`, `findOne`, `insertOne`, `updateOne`, `deleteOne`, `deleteMany`, `$lt`, `$gt`, `$nin`, `$set`, `$setOnInsert`, `$push`)
+* @returns {Object} A fake database object with a `collection(name)` method
+*/
+module.exports = function() {
+	var collections = {};
+
+	var matches = (doc, filter) => _.every(filter, (criteria, field) =>
+		_.isPlainObject(criteria) && _.has(criteria, '$lt') ? doc[field] < criteria.$lt
+		: _.isPlainObject(criteria) && _.has(criteria, '$gt') ? doc[field] > criteria.$gt
+		: _.isPlainObject(criteria) && _.has(criteria, '$nin') ? !criteria.$nin.some(value => _.isEqual(doc[field], value))
+		: _.isEqual(doc[field], criteria)
+	);
+
+	return {
+		collections,
+		collection: name => {
+			var docs = collections[name] = collections[name] || [];
+
+			return {
+				find: filter => {
+					var sort = {};
+					var limit = 0;
+					var cursor = {
+						sort: spec => { sort = spec; return cursor; },
+						limit: max => { limit = max; return cursor; },
+						toArray: callback => setImmediate(()=> {
+							var found = _.orderBy(docs.filter(doc => matches(doc, filter)), _.keys(sort), _.map(sort, dir => dir == -1 ? 'desc' : 'asc'));
+							callback(null, _.cloneDeep(limit ? found.slice(0, limit) : found));
+						}),
+					};
+					return cursor;
+				},
+				findOne: (filter, callback) => setImmediate(()=> callback(null, _.cloneDeep(docs.find(doc => matches(doc, filter))))),
+				insertOne: (doc, callback) => setImmediate(()=> {
+					if (docs.some(existing => existing._id == doc._id)) return callback(_.assign(new Error('E11000 duplicate key error'), {code: 11000}));
+					docs.push(_.cloneDeep(doc));
+					callback();
+				}),
+				updateOne: (filter, update, options, callback) => setImmediate(()=> {
+					var doc = docs.find(doc => matches(doc, filter));
+					if (!doc && options.upsert) docs.push(doc = _.assign(_.pickBy(filter, v => !_.isPlainObject(v)), _.cloneDeep(update.$setOnInsert)));
+					if (doc) _.assign(doc, _.cloneDeep(update.$set));
+					if (doc) _.forEach(update.$push, (push, field) => {
+						doc[field] = (doc[field] || []).concat(_.cloneDeep(push.$each));
+						if (push.$slice) doc[field] = doc[field].slice(push.$slice);
+					});
+					callback();
+				}),
+				deleteOne: (filter, callback) => setImmediate(()=> {
+					var offset = docs.findIndex(doc => matches(doc, filter));
+					if (offset > -1) docs.splice(offset, 1);
+					callback();
+				}),
+				deleteMany: (filter, callback) => setImmediate(()=> {
+					_.remove(docs, doc => matches(doc, filter));
+					callback();
+				}),
+			};
+		},
+	};
+};
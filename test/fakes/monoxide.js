@@ -0,0 +1,96 @@
+var _ = require('lodash');
+var fakeDb = require('./db');
+
+/**
+* Minimal in-process fake of a Monoxide instance
+* Models keep their indexes in memory and only support the subset of methods used by this plugin (hooks, `meta()`, `getIndexes()`, `$indexStats`, index creation + `explain()`)
+* `explain()` uses the first non-`_id` index whose leading field is in the filter or sort, otherwise a collection scan
+* @param {Object} schemas Object of models to create of the form `{modelId: {meta, options, indexes, virtuals}}` where `meta` is the `model.meta()` output, `options` the schema path options (for `$mongooseModel.schema.path()`), `virtuals` the Mongoose schema virtuals and `indexes` an array of existing indexes of the form `{name, key, hits, since}`
+* @returns {Object} A fake Monoxide object with `models`, `connection` and the methods the plugin wraps
+*/
+module.exports = function(schemas) {
+	var monoxide = {
+		models: {},
+		connection: {db: fakeDb()},
+		schema: ()=> undefined,
+		aggregate: (q, callback) => setImmediate(()=> callback(null, [])),
+		runCommand: (cmd, callback) => setImmediate(()=> callback(null, {values: []})),
+	};
+	monoxide.delete = monoxide.remove = (q, callback) => setImmediate(()=> callback && callback());
+	monoxide.fire = (name, callback) => setImmediate(()=> callback());
+
+	// Record `collMod` index changes against the model {{{
+	monoxide.connection.db.command = (cmd, callback) => setImmediate(()=> {
+		var model = _.find(monoxide.models, m => m.$mongoModel.collectionName == cmd.collMod);
+		var index = model && model.$indexes.find(i => i.name == cmd.index.name);
+		if (!index) return callback(new Error('index not found'));
+		index.hidden = cmd.index.hidden;
+		callback(null, {ok: 1});
+	});
+	// }}}
+
+	_.forEach(schemas, (schema, id) => {
+		var model = monoxide.models[id] = {
+			$collection: id,
+			$hooks: {},
+			$indexes: [{name: '_id_', key: {_id: 1}, hits: 0}].concat(_.cloneDeep(schema.indexes || [])),
+			hook: (name, fn) => {
+				(model.$hooks[name] = model.$hooks[name] || []).push(fn);
+				return model;
+			},
+			fire: (name, callback, ...args) => {
+				var hooks = (model.$hooks[name] || []).slice();
+				var next = err => err || !hooks.length ? callback(err) : hooks.shift()(next, ...args);
+				next();
+			},
+			meta: (options, callback) => {
+				if (_.isFunction(options)) [options, callback] = [{}, options];
+				setImmediate(()=> callback(null, _.cloneDeep(schema.meta || {})));
+			},
+			getIndexes: callback => setImmediate(()=> callback(null, _.cloneDeep(model.$indexes.map(i => _.omit(i, ['hits', 'since']))))),
+			$mongoModel: {
+				collectionName: id.toLowerCase(),
+				aggregate: (pipeline, callback) => setImmediate(()=> callback(null, model.$indexes.map(i => ({
+					name: i.name,
+					key: i.key,
+					accesses: {ops: i.hits || 0, since: i.since || new Date(0)},
+				})))),
+				createIndex: (key, options) => new Promise(resolve => setImmediate(()=> {
+					model.$indexes.push(_.assign({key, hits: 0}, options));
+					resolve(options.name);
+				})),
+				dropIndex: (index, callback) => setImmediate(()=> {
+					_.remove(model.$indexes, i => i.name == index || _.isEqual(i.key, index));
+					callback();
+				}),
+				find: filter => {
+					var sort = {};
+					var cursor = {
+						sort: spec => { sort = spec; return cursor; },
+						collation: ()=> cursor,
+						explain: callback => setImmediate(()=> {
+							var fields = _.keys(filter).concat(_.keys(sort));
+							var index = model.$indexes.find(i => i.name != '_id_' && !i.hidden && fields.includes(_.keys(i.key)[0]));
+							callback(null, {
+								queryPlanner: {winningPlan: index
+									? {stage: 'FETCH', inputStage: {stage: 'IXSCAN', indexName: index.name}}
+									: {stage: 'COLLSCAN'}
+								},
+								executionStats: {totalDocsExamined: index ? 1 : 100, totalKeysExamined: index ? 1 : 0},
+							});
+						}),
+					};
+					return cursor;
+				},
+			},
+			$mongooseModel: {
+				schema: {
+					path: path => _.has(schema.options, path) ? {options: schema.options[path]} : undefined,
+					virtuals: schema.virtuals || {},
+				},
+			},
+		};
+	});
+
+	return monoxide;
+};
@@ -0,0 +1,5 @@
+/**
+* Model file for the CLI tests
+* The models themselves are created by the Monoxide fake (see `test/fakes/cli.js`), this only needs to exist and load Monoxide like a real model file
+*/
+require('monoxide');
@@ -0,0 +1,124 @@
+/**
+* Sample MongoDB profiler documents (as stored in `system.profile`) and JSON slow query log entries
+* Trimmed down to the fields the profiler reader uses
+*/
+module.exports = {
+	profile: [
+		{ // MongoDB >=3.6 find command
+			op: 'query',
+			ns: 'test.users',
+			command: {
+				find: 'users',
+				filter: {role: 'admin', created: {$gte: new Date('2018-01-01T00:00:00Z')}},
+				sort: {name: -1},
+				limit: 10,
+				$db: 'test',
+			},
+			millis: 120,
+			ts: new Date('2018-01-01T00:00:01Z'),
+		},
+		{ // Insert - ignored
+			op: 'insert',
+			ns: 'test.users',
+			command: {insert: 'users', documents: [{name: 'Joe'}]},
+			millis: 5,
+			ts: new Date('2018-01-01T00:00:02Z'),
+		},
+		{ // Legacy OP_QUERY with modifiers
+			op: 'query',
+			ns: 'test.users',
+			query: {$query: {name: /^Jo/}, $orderby: {created: 1}},
+			millis: 80,
+			ts: new Date('2018-01-01T00:00:03Z'),
+		},
+		{ // Profiler's own collection - ignored
+			op: 'query',
+			ns: 'test.system.profile',
+			command: {find: 'system.profile', filter: {}},
+			millis: 1,
+			ts: new Date('2018-01-01T00:00:04Z'),
+		},
+		{ // Fast find with a collation
+			op: 'query',
+			ns: 'test.widgets',
+			command: {find: 'widgets', filter: {title: 'Foo'}, collation: {locale: 'en', strength: 2}},
+			millis: 2,
+			ts: new Date('2018-01-01T00:00:05Z'),
+		},
+	],
+	log: [
+		{ // MongoDB >=4.4 structured slow query log
+			t: {$date: '2018-01-01T00:00:06.000+00:00'},
+			s: 'I',
+			c: 'COMMAND',
+			id: 51803,
+			ctx: 'conn1',
+			msg: 'Slow query',
+			attr: {
+				type: 'command',
+				ns: 'test.users',
+				command: {
+					find: 'users',
+					filter: {
+						_id: {$oid: '5a4a8a8e1c9d440000a1b2c3'},
+						age: {$gt: {$numberInt: '18'}},
+						created: {$lt: {$date: {$numberLong: '1514764800000'}}},
+						name: {$regularExpression: {pattern: '^jo', options: 'i'}},
+					},
+					$db: 'test',
+				},
+				planSummary: 'COLLSCAN',
+				durationMillis: 250,
+			},
+		},
+		{ // Other log entries - ignored
+			t: {$date: '2018-01-01T00:00:07.000+00:00'},
+			s: 'I',
+			c: 'NETWORK',
+			id: 22943,
+			msg: 'Connection accepted',
+			attr: {remote: '127.0.0.1:51234'},
+		},
+	],
+	operations: [
+		{ // Count command
+			op: 'command',
+			ns: 'test.users',
+			command: {count: 'users', query: {role: 'admin'}, $db: 'test'},
+			millis: 30,
+		},
+		{ // Distinct command
+			op: 'command',
+			ns: 'test.users',
+			command: {distinct: 'users', key: 'name', query: {role: 'admin'}, $db: 'test'},
+			millis: 40,
+		},
+		{ // Update statement
+			op: 'update',
+			ns: 'test.users',
+			command: {q: {email: 'joe@example.com'}, u: {$set: {role: 'user'}}, multi: false, upsert: false},
+			millis: 50,
+		},
+		{ // Remove statement with a collation
+			op: 'remove',
+			ns: 'test.users',
+			command: {q: {status: 'deleted'}, limit: 0, collation: {locale: 'en', strength: 2}},
+			millis: 60,
+		},
+		{ // Aggregate command
+			op: 'command',
+			ns: 'test.users',
+			command: {
+				aggregate: 'users',
+				pipeline: [
+					{$match: {role: 'admin'}},
+					{$sort: {name: 1}},
+					{$lookup: {from: 'posts', localField: '_id', foreignField: 'author', as: 'posts'}},
+				],
+				cursor: {},
+				$db: 'test',
+			},
+			millis: 70,
+		},
+	],
+};
@@ -0,0 +1,65 @@
+var expect = require('chai').expect;
+var fakeDb = require('./fakes/db');
+var indexHistory = require('../lib/history');
+
+describe('monoxide-auto-indexer - usage history', function() {
+
+	var since = new Date('2018-01-01T00:00:00Z');
+	var restarted = new Date('2018-01-02T00:00:00Z');
+
+	it('should start the total from the first snapshot', ()=> {
+		expect(indexHistory.tally(undefined, {hits: 10, since})).to.equal(10);
+	});
+
+	it('should add the difference while the counter is running', ()=> {
+		expect(indexHistory.tally({total: 50, ops: 10, since}, {hits: 25, since})).to.equal(65);
+		expect(indexHistory.tally({total: 50, ops: 10, since}, {hits: 10, since})).to.equal(50);
+	});
+
+	it('should add the whole counter after a restart', ()=> {
+		expect(indexHistory.tally({total: 50, ops: 10, since}, {hits: 3, since: restarted})).to.equal(53);
+	});
+
+	it('should add the whole counter if it goes backwards', ()=> {
+		expect(indexHistory.tally({total: 50, ops: 10, since}, {hits: 4, since})).to.equal(54);
+	});
+
+	it('should snapshot running totals and forget dropped indexes', done => {
+		var db = fakeDb();
+		var now = since.getTime();
+		var history = indexHistory({now: ()=> now});
+		var users = {$collection: 'users'};
+		var index = (name, hits, since) => ({model: users, name, spec: {[name.split('_')[0]]: 1}, hits, since});
+
+		history.snapshot(db, [index('role_1', 10, since), index('name_1', 5, since)], err => {
+			expect(err).to.be.not.ok;
+			now += 1000;
+
+			history.snapshot(db, [index('role_1', 25, since)], err => { // `name_1` has been dropped
+				expect(err).to.be.not.ok;
+				now += 1000;
+
+				history.snapshot(db, [index('role_1', 3, restarted)], err => {
+					expect(err).to.be.not.ok;
+
+					history.load(db, (err, docs) => {
+						expect(err).to.be.not.ok;
+						expect(docs).to.have.all.keys('users.role_1');
+						expect(docs['users.role_1']).to.deep.include({
+							collection: 'users',
+							name: 'role_1',
+							key: {role: 1},
+							since: restarted,
+							ops: 3,
+							total: 28,
+							firstSeen: since,
+							updated: new Date(now),
+						});
+						done();
+					});
+				});
+			});
+		});
+	});
+
+});
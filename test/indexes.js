@@ -0,0 +1,94 @@
+var expect = require('chai').expect;
+var {getArrayPath, getIndexId, getIndexName, getIndexSpec, isCoveredBy, isManualIndex, isServedBy} = require('../lib/indexes');
+
+describe('monoxide-auto-indexer - index helpers', function() {
+
+	it('should convert index fields into key specs', ()=> {
+		expect(getIndexSpec(['name', '-role'])).to.deep.equal({name: 1, role: -1});
+		expect(getIndexSpec(['location:2dsphere'])).to.deep.equal({location: '2dsphere'});
+		expect(getIndexSpec(['title:text', 'body:text'])).to.deep.equal({title: 'text', body: 'text'});
+	});
+
+	it('should compute index IDs', ()=> {
+		expect(getIndexId('users', {name: 1})).to.equal('users.name');
+		expect(getIndexId('users', {name: -1})).to.equal('users.-name');
+		expect(getIndexId('users', {name: 1, role: -1})).to.equal('users.{name,-role}');
+		expect(getIndexId('users', {location: '2dsphere'})).to.equal('users.location:2dsphere');
+	});
+
+	it('should include the distinguishing options in index IDs and names', ()=> {
+		var partial = {partialFilterExpression: {status: 'active'}};
+		var collated = {collation: {locale: 'en'}};
+
+		expect(getIndexId('users', {name: 1}, {unique: true, sparse: true})).to.equal('users.name');
+		expect(getIndexId('users', {name: 1}, partial)).to.match(/^users\.name#[0-9a-f]{8}$/);
+		expect(getIndexId('users', {name: 1}, collated)).to.match(/^users\.name#[0-9a-f]{8}$/);
+		expect(getIndexId('users', {name: 1}, partial)).to.not.equal(getIndexId('users', {name: 1}, collated));
+		expect(getIndexId('users', {name: 1}, {collation: {locale: 'simple'}})).to.equal('users.name');
+		expect(getIndexId('users', {name: 1}, collated)).to.equal(getIndexId('users', {name: 1}, {collation: {locale: 'en', strength: 3, caseLevel: false, caseFirst: 'off', numericOrdering: false, alternate: 'non-ignorable', maxVariable: 'punct', normalization: false, backwards: false, version: '57.1'}}));
+
+		expect(getIndexName({name: 1}, 'autoIndex_')).to.equal('autoIndex_name_1');
+		expect(getIndexName({name: 1}, 'autoIndex_', partial)).to.match(/^autoIndex_name_1_[0-9a-f]{8}$/);
+		expect(getIndexName({name: 1}, 'autoIndex_', partial)).to.not.equal(getIndexName({name: 1}, 'autoIndex_', collated));
+	});
+
+	it('should determine when an index is served by another', ()=> {
+		expect(isCoveredBy({name: 1}, {name: 1, role: 1})).to.be.true;
+		expect(isCoveredBy({name: -1}, {name: 1, role: 1})).to.be.true;
+		expect(isCoveredBy({name: -1, role: -1}, {name: 1, role: 1})).to.be.true;
+		expect(isCoveredBy({name: -1, role: 1}, {name: 1, role: 1})).to.be.false;
+		expect(isCoveredBy({role: 1}, {name: 1, role: 1})).to.be.false;
+		expect(isCoveredBy({location: '2dsphere'}, {location: 1})).to.be.false;
+		expect(isCoveredBy({title: 'text'}, {_fts: 'text', _ftsx: 1})).to.be.true;
+	});
+
+	it('should only serve queries when the index options match', ()=> {
+		var partial = {partialFilterExpression: {status: 'active'}};
+
+		expect(isServedBy({name: 1}, {}, {key: {name: 1, role: 1}})).to.be.true;
+		expect(isServedBy({name: 1}, {}, {key: {role: 1}})).to.be.false;
+
+		// Partial indexes
+		expect(isServedBy({name: 1}, {}, Object.assign({key: {name: 1}}, partial))).to.be.false;
+		expect(isServedBy({name: 1}, partial, Object.assign({key: {name: 1}}, partial))).to.be.true;
+		expect(isServedBy({name: 1}, {partialFilterExpression: {status: 'pending'}}, Object.assign({key: {name: 1}}, partial))).to.be.false;
+		expect(isServedBy({name: 1}, partial, {key: {name: 1}})).to.be.true;
+
+		// Sparse indexes
+		expect(isServedBy({name: 1}, {}, {key: {name: 1}, sparse: true})).to.be.false;
+		expect(isServedBy({name: 1}, {sparse: true}, {key: {name: 1}, sparse: true})).to.be.true;
+
+		// Collations
+		expect(isServedBy({name: 1}, {collation: {locale: 'en'}}, {key: {name: 1}})).to.be.false;
+		expect(isServedBy({name: 1}, {}, {key: {name: 1}, collation: {locale: 'en', strength: 3}})).to.be.false;
+		expect(isServedBy({name: 1}, {collation: {locale: 'en'}}, {key: {name: 1}, collation: {locale: 'en', strength: 3, caseLevel: false}})).to.be.true;
+		expect(isServedBy({name: 1}, {collation: {locale: 'en', strength: 2}}, {key: {name: 1}, collation: {locale: 'en', strength: 3}})).to.be.false;
+		expect(isServedBy({name: 1}, {collation: {locale: 'simple'}}, {key: {name: 1}})).to.be.true;
+	});
+
+	it('should only treat indexes matching a schema declared key as manual', ()=> {
+		var meta = {name: {type: 'string'}, role: {type: 'string', index: true}};
+		var model = {$collection: 'users', $mongooseModel: {schema: {indexes: ()=> [[{role: 1}, {}], [{name: 1, created: -1}, {background: true}]]}}};
+
+		expect(isManualIndex({id: 'users.role', spec: {role: 1}, meta, model})).to.be.true;
+		expect(isManualIndex({id: 'users.{role,name}', spec: {role: 1, name: 1}, meta, model})).to.be.false;
+		expect(isManualIndex({id: 'users.{name,-created}', spec: {name: 1, created: -1}, meta, model})).to.be.true;
+		expect(isManualIndex({id: 'users.name', spec: {name: 1}, meta, model})).to.be.false;
+		expect(isManualIndex({id: 'users.name', spec: {name: 1}, meta, model: {$collection: 'users'}})).to.be.false; // No Mongoose schema
+	});
+
+	it('should find the array a field is within', ()=> {
+		var meta = {
+			name: {type: 'string'},
+			tags: {type: 'array'},
+			items: {type: 'array'},
+			'items.sku': {type: 'string'},
+		};
+
+		expect(getArrayPath('name', meta)).to.be.undefined;
+		expect(getArrayPath('tags', meta)).to.equal('tags');
+		expect(getArrayPath('items.sku', meta)).to.equal('items');
+		expect(getArrayPath('items.0.sku', meta)).to.be.undefined;
+	});
+
+});
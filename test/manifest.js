@@ -0,0 +1,77 @@
+var expect = require('chai').expect;
+var fakeMonoxide = require('./fakes/monoxide');
+var indexManifest = require('../lib/manifest');
+
+describe('monoxide-auto-indexer - manifest', function() {
+
+	it('should convert raw indexes into manifest entries', ()=> {
+		expect(indexManifest.toEntry({v: 2, name: 'autoIndex_name_1', ns: 'test.users', key: {name: 1}, unique: true})).to.deep.equal({
+			name: 'autoIndex_name_1',
+			key: {name: 1},
+			options: {unique: true},
+		});
+
+		expect(indexManifest.toEntry({v: 2, name: 'name_text', key: {_fts: 'text', _ftsx: 1}, weights: {name: 10, content: 1}})).to.deep.equal({
+			name: 'name_text',
+			key: {name: 'text', content: 'text'},
+			options: {weights: {name: 10, content: 1}},
+		});
+	});
+
+	it('should compute the differences between existing and wanted indexes', ()=> {
+		var existing = [
+			{name: '_id_', key: {_id: 1}, options: {}},
+			{name: 'autoIndex_name_1', key: {name: 1}, options: {}},
+			{name: 'autoIndex_role_1', key: {role: 1}, options: {}},
+			{name: 'autoIndex_created_1', key: {created: 1}, options: {}},
+		];
+		var wanted = [
+			{name: 'autoIndex_name_1', key: {name: 1}, options: {}},
+			{name: 'autoIndex_role_1', key: {role: 1}, options: {sparse: true}},
+			{name: 'autoIndex_name_1_role_-1', key: {name: 1, role: -1}, options: {}},
+		];
+
+		var diff = indexManifest.diff('users', existing, wanted);
+		expect(diff.create.map(i => i.id)).to.deep.equal(['users.role', 'users.{name,-role}']);
+		expect(diff.drop.map(i => i.id)).to.deep.equal(['users.role', 'users.created']);
+		expect(diff.create[0]).to.deep.equal({
+			collection: 'users',
+			id: 'users.role',
+			name: 'autoIndex_role_1',
+			key: {role: 1},
+			options: {sparse: true},
+		});
+	});
+
+	it('should build identical manifests of unchanged indexes', done => {
+		var monoxide = fakeMonoxide({users: {indexes: [{name: 'autoIndex_name_1', key: {name: 1}, unique: true}]}});
+
+		indexManifest.build(monoxide.models, (err, first) => {
+			expect(err).to.be.not.ok;
+			expect(first).to.deep.equal({
+				version: indexManifest.version,
+				models: {users: [{name: 'autoIndex_name_1', key: {name: 1}, options: {unique: true}}]},
+			});
+
+			indexManifest.build(monoxide.models, (err, second) => {
+				expect(err).to.be.not.ok;
+				expect(indexManifest.stringify(second, 'json')).to.equal(indexManifest.stringify(first, 'json'));
+				done();
+			});
+		});
+	});
+
+	it('should round trip manifests as JSON and YAML', ()=> {
+		var manifest = {
+			version: indexManifest.version,
+			models: {
+				users: [{name: 'autoIndex_name_1_role_-1', key: {name: 1, role: -1}, options: {}}],
+			},
+		};
+
+		expect(indexManifest.parse(indexManifest.stringify(manifest, 'json'))).to.deep.equal(manifest);
+		expect(indexManifest.parse(indexManifest.stringify(manifest, 'yaml'))).to.deep.equal(manifest);
+		expect(()=> indexManifest.stringify(manifest, 'xml')).to.throw();
+	});
+
+});
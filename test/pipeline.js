@@ -0,0 +1,104 @@
+var expect = require('chai').expect;
+var analyser = require('../lib/analyser');
+var pipeline = require('../lib/pipeline');
+
+describe('monoxide-auto-indexer - aggregation pipelines', function() {
+
+	it('should extract the leading $match + $sort stages', ()=> {
+		expect(pipeline.getQueries('users', [
+			{$match: {role: 'user'}},
+			{$match: {created: {$gte: new Date('2018-01-01T00:00:00Z')}}},
+			{$sort: {name: -1}},
+			{$group: {_id: '$role', total: {$sum: 1}}},
+			{$match: {total: {$gt: 10}}}, // Cannot use an index
+		])).to.deep.equal([{
+			collection: 'users',
+			stage: '$match',
+			q: {
+				$collection: 'users',
+				$and: [{role: 'user'}, {created: {$gte: new Date('2018-01-01T00:00:00Z')}}],
+				$sort: {name: -1},
+			},
+		}]);
+	});
+
+	it('should produce the same shapes as the query hook', ()=> {
+		var [query] = pipeline.getQueries('users', [
+			{$sort: {name: -1, score: {$meta: 'textScore'}}},
+			{$match: {role: 'user'}},
+			{$limit: 10},
+		]);
+
+		expect(query.q).to.deep.equal({$collection: 'users', role: 'user', $sort: {name: -1}});
+		expect(analyser(query.q).shape).to.equal(analyser({$collection: 'users', role: 'admin', $sort: '-name'}).shape);
+	});
+
+	it('should ignore pipelines which do not start with an indexable stage', ()=> {
+		expect(pipeline.getQueries('users', [])).to.deep.equal([]);
+		expect(pipeline.getQueries('users', [
+			{$project: {name: 1}},
+			{$match: {name: 'Joe'}},
+		])).to.deep.equal([]);
+	});
+
+	it('should extract a leading $geoNear stage', ()=> {
+		var [query] = pipeline.getQueries('stores', [
+			{$geoNear: {near: {type: 'Point', coordinates: [0, 0]}, key: 'location', distanceField: 'distance', query: {open: true}}},
+			{$match: {rating: {$gt: 3}}}, // After $geoNear - cannot use an index
+		]);
+
+		expect(query).to.deep.equal({
+			collection: 'stores',
+			stage: '$geoNear',
+			q: {$collection: 'stores', open: true, location: {$nearSphere: {type: 'Point', coordinates: [0, 0]}}},
+		});
+		expect(analyser(query.q).fields).to.deep.equal({open: 'equality', location: 'geo'});
+	});
+
+	it('should extract $lookup foreign fields against the target collection', ()=> {
+		var queries = pipeline.getQueries('orders', [
+			{$match: {status: 'open'}},
+			{$lookup: {from: 'users', localField: 'user', foreignField: '_id', as: 'user'}},
+			{$lookup: {from: 'items', localField: 'sku', foreignField: 'sku', as: 'item'}},
+			{$lookup: {from: 'notes', let: {order: '$_id'}, pipeline: [], as: 'notes'}}, // No foreignField - ignored
+		]);
+
+		expect(queries.map(q => [q.collection, q.stage])).to.deep.equal([
+			['orders', '$match'],
+			['users', '$lookup'],
+			['items', '$lookup'],
+		]);
+		expect(analyser(queries[2].q).fields).to.deep.equal({sku: 'equality'});
+		expect(analyser(queries[2].q).values).to.deep.equal({}); // The lookup value is never a constant
+	});
+
+	it('should skip populations by _id', ()=> {
+		expect(pipeline.getPopulateQueries(undefined)).to.deep.equal([]);
+		expect(pipeline.getPopulateQueries('favourite items')).to.deep.equal([]);
+		expect(pipeline.getPopulateQueries([{path: 'favourite', ref: 'widgets'}])).to.deep.equal([]);
+	});
+
+	it('should extract the foreign fields of populations', ()=> {
+		expect(pipeline.getPopulateQueries([
+			'favourite',
+			{path: 'orders', ref: 'orders', foreignField: 'user'},
+			{path: 'notes', foreignField: 'user'}, // No ref - ignored
+		])).to.deep.equal([{
+			collection: 'orders',
+			stage: '$populate',
+			path: 'orders',
+			join: true,
+			q: {$collection: 'orders', user: {$eq: null}},
+		}]);
+	});
+
+	it('should extract the foreign fields of virtual populations', ()=> {
+		var queries = pipeline.getPopulateQueries('widgets', {
+			widgets: {path: 'widgets', options: {ref: 'widgets', localField: '_id', foreignField: 'owner'}},
+		});
+
+		expect(queries.map(q => [q.collection, q.path])).to.deep.equal([['widgets', 'widgets']]);
+		expect(analyser(queries[0].q).fields).to.deep.equal({owner: 'equality'});
+	});
+
+});
@@ -0,0 +1,749 @@
+var _ = require('lodash');
+var expect = require('chai').expect;
+var fakeMonoxide = require('./fakes/monoxide');
+var monoxideAutoIndexer = require('..');
+
+describe('monoxide-auto-indexer - plugin', function() {
+
+	/**
+	* Install the plugin against a fake Monoxide instance
+	* @param {Object} options Plugin options, builds are always waited for
+	* @param {Object} schemas Models to create, see `test/fakes/monoxide.js`
+	* @param {function} callback Callback fired as (monoxide) once installed
+	*/
+	var install = (options, schemas, callback) => {
+		var monoxide = fakeMonoxide(schemas);
+		monoxideAutoIndexer(_.assign({background: false}, options))(()=> callback(monoxide), monoxide);
+	};
+
+	/**
+	* Record the plugin events fired on a model
+	* @param {Object} model The fake model to listen to
+	* @param {array} events The event names to record
+	* @returns {Object} Object of the form `{event: [args]}` filled in as events fire
+	*/
+	var listen = (model, events) => {
+		var calls = {};
+		events.forEach(event => model.hook(event, (done, ...args) => {
+			(calls[event] = calls[event] || []).push(args);
+			done();
+		}));
+		return calls;
+	};
+
+	var userMeta = {
+		_id: {type: 'objectid'},
+		name: {type: 'string'},
+		role: {type: 'string'},
+		status: {type: 'string'},
+		email: {type: 'string', index: true},
+	};
+
+
+	/**
+	* Fire a series of queries at a model, one after the other
+	* @param {Object} model The fake model to query
+	* @param {array} queries The Monoxide queries to fire
+	* @param {function} callback Callback fired as (err) once all queries have been processed
+	*/
+	var query = (model, queries, callback) => {
+		if (!queries.length) return callback();
+		model.fire('query', err => err ? callback(err) : query(model, queries.slice(1), callback), queries[0]);
+	};
+
+
+	describe('index options', function() {
+
+		var options = {
+			email: {unique: true},
+			status: {sparse: true},
+			role: {sparse: true},
+			created: {expires: 3600},
+		};
+
+		it('should take unique, sparse and expires from the schema path options', done => {
+			install({}, {users: {meta: _.assign({created: {type: 'date'}}, userMeta), options}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [
+					{$collection: 'users', email: 'joe@example.com'},
+					{$collection: 'users', status: 'active', role: 'admin'},
+					{$collection: 'users', created: {$lt: new Date()}},
+					{$collection: 'users', name: 'Joe', status: 'active'},
+				], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build'].map(args => args[3])).to.deep.equal([
+						{unique: true},
+						{sparse: true},
+						{expireAfterSeconds: 3600},
+						{}, // `name` is not sparse
+					]);
+					done();
+				});
+			});
+		});
+
+		it('should move constant fields into a partial filter and name the index by its options', done => {
+			install({partialFilters: 2, shapeThreshold: 2}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [
+					{$collection: 'users', name: 'Joe', status: 'active'},
+					{$collection: 'users', name: 'Jane', status: 'active'},
+				], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build']).to.have.length(1);
+					expect(calls['autoIndexer.build'][0][1]).to.deep.equal(['name']);
+					expect(calls['autoIndexer.build'][0][3]).to.deep.equal({partialFilterExpression: {status: 'active'}});
+
+					var index = monoxide.models.users.$indexes.find(i => i.partialFilterExpression);
+					expect(index.name).to.match(/^autoIndex_name_1_[0-9a-f]{8}$/);
+					done();
+				});
+			});
+		});
+
+		it('should copy the collation of profiled queries', done => { // Monoxide has no collation support so only the profiler sees them
+			install({}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				monoxide.ingestProfile([{op: 'query', ns: 'test.users', command: {find: 'users', filter: {name: 'Joe'}, collation: {locale: 'en', strength: 2}}}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build'][0][3]).to.deep.equal({collation: {locale: 'en', strength: 2}});
+					done();
+				});
+			});
+		});
+
+		it('should not treat a partial index as serving a plain query', done => {
+			install({}, {users: {meta: userMeta, indexes: [{name: 'name_1_active', key: {name: 1}, partialFilterExpression: {status: 'active'}}]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build']).to.have.length(1);
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'name_1_active', 'autoIndex_name_1']);
+					done();
+				});
+			});
+		});
+
+		it('should not treat a simple collation index as serving a collated query', done => {
+			install({}, {users: {meta: userMeta, indexes: [{name: 'name_1', key: {name: 1}}]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', name: 'Joe'}], err => { // Served by name_1
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.build');
+
+					monoxide.ingestProfile([{op: 'query', ns: 'test.users', command: {find: 'users', filter: {name: 'Joe'}, collation: {locale: 'en'}}}], err => {
+						expect(err).to.be.not.ok;
+						expect(calls['autoIndexer.build']).to.have.length(1);
+						expect(calls['autoIndexer.build'][0][3]).to.deep.equal({collation: {locale: 'en'}});
+						expect(monoxide.models.users.$indexes.map(i => i.name)).to.have.length(3);
+						expect(monoxide.models.users.$indexes[2].name).to.match(/^autoIndex_name_1_[0-9a-f]{8}$/);
+						done();
+					});
+				});
+			});
+		});
+
+	});
+
+
+	describe('text indexes', function() {
+
+		var textMeta = _.assign({title: {type: 'string'}, body: {type: 'string'}}, userMeta);
+
+		it('should merge new weights into an existing auto-created text index', done => {
+			install({textWeights: {users: {body: 2}}}, {users: {meta: textMeta, indexes: [
+				{name: 'autoIndex_title_text', key: {_fts: 'text', _ftsx: 1}, weights: {title: 1}},
+			]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build', 'autoIndexer.postBuild']);
+
+				query(monoxide.models.users, [{$collection: 'users', $text: {$search: 'Joe'}}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build']).to.have.length(1);
+					expect(calls['autoIndexer.build'][0][1]).to.deep.equal(['title:text', 'body:text']);
+					expect(calls['autoIndexer.build'][0][3]).to.deep.equal({weights: {title: 1, body: 2}});
+					expect(calls['autoIndexer.postBuild'][0][3]).to.be.not.ok;
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'autoIndex_title_text_body_text']);
+					done();
+				});
+			});
+		});
+
+		it('should not rebuild a text index which already has the weights', done => {
+			install({textWeights: {users: {title: 1}}}, {users: {meta: textMeta, indexes: [
+				{name: 'autoIndex_title_text_body_text', key: {_fts: 'text', _ftsx: 1}, weights: {title: 1, body: 2}},
+			]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', $text: {$search: 'Joe'}}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.build');
+					expect(monoxide.models.users.$indexes).to.have.length(2);
+					done();
+				});
+			});
+		});
+
+		it('should leave manually created text indexes alone', done => {
+			install({textWeights: {users: {body: 2}}}, {users: {meta: textMeta, indexes: [
+				{name: 'title_text', key: {_fts: 'text', _ftsx: 1}, weights: {title: 1}},
+			]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', $text: {$search: 'Joe'}}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.build');
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'title_text']);
+					done();
+				});
+			});
+		});
+
+		it('should skip $meta sorts', done => {
+			install({textWeights: {users: {title: 1}}}, {users: {meta: textMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', $text: {$search: 'Joe'}, $sort: {score: {$meta: 'textScore'}}}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build'].map(args => args[1])).to.deep.equal([['title:text']]);
+					done();
+				});
+			});
+		});
+
+	});
+
+
+	describe('verification', function() {
+
+		it('should verify new indexes against the query plan', done => {
+			install({verify: true}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.verify']);
+
+				query(monoxide.models.users, [{$collection: 'users', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.verify']).to.have.length(1);
+					expect(calls['autoIndexer.verify'][0][3]).to.deep.include({name: 'autoIndex_name_1', effective: true, reason: 'Documents examined 100 → 1'});
+					expect(monoxide.indexVerifications()).to.have.all.keys('users.name');
+					expect(monoxide.connection.db.collections.autoIndexerVerifications).to.have.length(1);
+					done();
+				});
+			});
+		});
+
+		it('should drop indexes which fail verification', done => {
+			install({verify: true}, {users: {meta: userMeta, indexes: [{name: 'role_1', key: {role: 1}}]}}, monoxide => {
+				query(monoxide.models.users, [{$collection: 'users', role: 'admin', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+					expect(monoxide.indexVerifications()['users.{role,name}']).to.deep.include({effective: false, reason: 'Not used by the winning plan (used role_1)'});
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'role_1']);
+					done();
+				});
+			});
+		});
+
+		it('should not verify the branch indexes of $or queries', done => {
+			install({verify: true}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build', 'autoIndexer.verify']);
+
+				query(monoxide.models.users, [{$collection: 'users', $or: [{name: 'Joe'}, {role: 'admin'}]}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build']).to.have.length(2);
+					expect(calls).to.not.have.property('autoIndexer.verify');
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'autoIndex_name_1', 'autoIndex_role_1']);
+					expect(monoxide.indexVerifications()).to.deep.equal({});
+					expect(monoxide.connection.db.collections.autoIndexerVerifications || []).to.have.length(0);
+					done();
+				});
+			});
+		});
+
+		it('should remember marked indexes across restarts', done => {
+			var schemas = {users: {meta: userMeta, indexes: [{name: 'role_1', key: {role: 1}}]}};
+
+			install({verify: true, verifyAction: 'mark'}, schemas, monoxide => {
+				query(monoxide.models.users, [{$collection: 'users', role: 'admin', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+					var marked = monoxide.models.users.$indexes.find(i => i.name == 'autoIndex_role_1_name_1');
+					expect(marked).to.be.ok;
+
+					// Restart with the marked index still in place
+					var restarted = fakeMonoxide({users: {meta: userMeta, indexes: schemas.users.indexes.concat([_.assign({}, marked, {hits: 1000})])}});
+					restarted.connection.db = monoxide.connection.db;
+					monoxideAutoIndexer({background: false, verify: true, verifyAction: 'mark'})(()=> {
+						restarted.cleanIndexes({dryRun: true}, (err, result) => {
+							expect(err).to.be.not.ok;
+							expect(result.selected.map(i => i.id)).to.deep.equal(['users.{role,name}']);
+							expect(result.selected[0].reason).to.equal('Ineffective when verified - Not used by the winning plan (used role_1)');
+
+							restarted.indexReport((err, report) => {
+								expect(err).to.be.not.ok;
+								expect(report.models.users.existing.find(i => i.name == 'autoIndex_role_1_name_1').verification).to.deep.include({effective: false});
+								done();
+							});
+						});
+					}, restarted);
+				});
+			});
+		});
+
+		it('should not rebuild indexes which failed verification before a restart', done => {
+			install({verify: true}, {users: {meta: userMeta, indexes: [{name: 'role_1', key: {role: 1}}]}}, monoxide => {
+				query(monoxide.models.users, [{$collection: 'users', role: 'admin', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+
+					var restarted = fakeMonoxide({users: {meta: userMeta, indexes: [{name: 'role_1', key: {role: 1}}]}});
+					restarted.connection.db = monoxide.connection.db;
+					monoxideAutoIndexer({background: false, verify: true})(()=> {
+						var calls = listen(restarted.models.users, ['autoIndexer.build']);
+
+						query(restarted.models.users, [{$collection: 'users', role: 'admin', name: 'Joe'}], err => {
+							expect(err).to.be.not.ok;
+							expect(calls).to.not.have.property('autoIndexer.build');
+							expect(restarted.indexVerifications()).to.have.property('users.{role,name}');
+							done();
+						});
+					}, restarted);
+				});
+			});
+		});
+
+	});
+
+
+	describe('populations', function() {
+
+		it('should index the foreign field of virtual populates', done => {
+			install({}, {
+				users: {meta: userMeta, virtuals: {posts: {path: 'posts', options: {ref: 'posts', localField: '_id', foreignField: 'author'}}}},
+				posts: {meta: {_id: {type: 'objectid'}, author: {type: 'objectid', ref: 'users'}, title: {type: 'string'}}},
+			}, monoxide => {
+				var calls = listen(monoxide.models.posts, ['autoIndexer.query']);
+
+				query(monoxide.models.users, [{$collection: 'users', name: 'Joe', $populate: 'posts'}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.query']).to.have.length(1);
+					expect(calls['autoIndexer.query'][0][0]).to.deep.equal([['author']]);
+					expect(calls['autoIndexer.query'][0][1]).to.deep.include({source: 'populate', path: 'posts', join: true});
+					expect(monoxide.models.posts.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'autoIndex_author_1']);
+					done();
+				});
+			});
+		});
+
+	});
+
+
+	describe('profiler', function() {
+
+		var entry = (filter, millis) => ({op: 'query', ns: 'test.users', command: {find: 'users', filter}, millis});
+
+		it('should find models by their raw collection name', done => {
+			install({}, {Users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.Users, ['autoIndexer.query']);
+
+				monoxide.ingestProfile([entry({name: 'Joe'}, 10)], (err, count) => {
+					expect(err).to.be.not.ok;
+					expect(count).to.equal(1);
+					expect(calls['autoIndexer.query'][0][1]).to.deep.include({source: 'profiler', millis: 10});
+					monoxide.uninstallAutoIndexer(done);
+				});
+			});
+		});
+
+		it('should only ingest entries slower than slowMs', done => {
+			install({profiler: {slowMs: 100}}, {users: {meta: userMeta}}, monoxide => {
+				monoxide.ingestProfile([
+					entry({name: 'Joe'}, 99),
+					entry({name: 'Joe'}, 100),
+					{op: 'query', ns: 'test.users', command: {find: 'users', filter: {name: 'Joe'}}}, // No duration
+				], (err, count) => {
+					expect(err).to.be.not.ok;
+					expect(count).to.equal(1);
+					monoxide.uninstallAutoIndexer(done);
+				});
+			});
+		});
+
+		it('should ingest other operations with their own operation', done => {
+			install({}, {
+				users: {meta: userMeta},
+				posts: {meta: {_id: {type: 'objectid'}, author: {type: 'objectid', ref: 'users'}}},
+			}, monoxide => {
+				var users = listen(monoxide.models.users, ['autoIndexer.query']);
+				var posts = listen(monoxide.models.posts, ['autoIndexer.query']);
+
+				monoxide.ingestProfile([
+					{op: 'command', ns: 'test.users', command: {count: 'users', query: {role: 'admin'}}, millis: 10},
+					{op: 'remove', ns: 'test.users', command: {q: {status: 'deleted'}, limit: 0}, millis: 10},
+					{op: 'command', ns: 'test.users', command: {aggregate: 'users', pipeline: [
+						{$match: {name: 'Joe'}},
+						{$lookup: {from: 'posts', localField: '_id', foreignField: 'author', as: 'posts'}},
+					]}, millis: 10},
+				], (err, count) => {
+					expect(err).to.be.not.ok;
+					expect(count).to.equal(3);
+					expect(users['autoIndexer.query'].map(args => _.pick(args[1], ['source', 'operation', 'stage']))).to.deep.equal([
+						{source: 'profiler', operation: 'count'},
+						{source: 'profiler', operation: 'delete'},
+						{source: 'profiler', operation: 'aggregate', stage: '$match'},
+					]);
+					expect(posts['autoIndexer.query'][0][1]).to.deep.include({source: 'profiler', operation: 'aggregate', stage: '$lookup', join: true});
+					monoxide.uninstallAutoIndexer(done);
+				});
+			});
+		});
+
+		it('should count queries seen by both the hook and the profiler twice', done => {
+			install({shapeThreshold: 3}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.query', 'autoIndexer.build']);
+
+				query(monoxide.models.users, [{$collection: 'users', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+
+					monoxide.ingestProfile([entry({name: 'Joe'}, 10)], err => {
+						expect(err).to.be.not.ok;
+						expect(calls['autoIndexer.query'].map(args => _.pick(args[1], ['source', 'hits', 'promoted']))).to.deep.equal([
+							{source: 'hook', hits: 1, promoted: false},
+							{source: 'profiler', hits: 2, promoted: false},
+						]);
+						expect(calls).to.not.have.property('autoIndexer.build');
+						monoxide.uninstallAutoIndexer(done);
+					});
+				});
+			});
+		});
+
+	});
+
+
+	describe('staged removal', function() {
+
+		var week = 1000 * 60 * 60 * 24 * 7;
+		var schemas = ()=> ({users: {meta: userMeta, indexes: [{name: 'autoIndex_role_1', key: {role: 1}, hits: 0}]}});
+
+		/**
+		* Wait for fire-and-forget writes (such as recording regressions) to settle
+		* @param {function} callback Callback to fire when settled
+		*/
+		var settle = callback => setTimeout(callback, 10);
+
+		it('should hide an index then restore it when a query needs it', done => {
+			var now = Date.now();
+
+			install({}, schemas(), monoxide => {
+				var staged = monoxide.connection.db.collections;
+
+				monoxide.cleanIndexes({stage: true, now: ()=> now}, (err, result) => {
+					expect(err).to.be.not.ok;
+					expect(result.hidden.map(i => i.id)).to.deep.equal(['users.role']);
+					expect(result.failed).to.have.length(0);
+					expect(monoxide.models.users.$indexes.find(i => i.name == 'autoIndex_role_1')).to.have.property('hidden', true);
+					expect(staged.autoIndexerStaged).to.have.length(1);
+
+					query(monoxide.models.users, [{$collection: 'users', role: 'admin'}], err => {
+						expect(err).to.be.not.ok;
+
+						settle(()=> {
+							expect(staged.autoIndexerStaged[0].regressions.map(r => r.reason)).to.deep.equal(['Needed by query shape {role:equality}']);
+
+							now += week + 1;
+							monoxide.cleanIndexes({stage: true, now: ()=> now}, (err, result) => {
+								expect(err).to.be.not.ok;
+								expect(result.restored.map(i => i.id)).to.deep.equal(['users.role']);
+								expect(result.failed).to.have.length(0);
+								expect(monoxide.models.users.$indexes.find(i => i.name == 'autoIndex_role_1')).to.have.property('hidden', false);
+								expect(staged.autoIndexerStaged).to.have.length(0);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should record slow profiled queries as regressions', done => {
+			install({regressionMs: 100}, schemas(), monoxide => {
+				var staged = monoxide.connection.db.collections;
+
+				monoxide.cleanIndexes({stage: true}, err => {
+					expect(err).to.be.not.ok;
+
+					monoxide.ingestProfile([
+						{op: 'query', ns: 'test.users', command: {find: 'users', filter: {role: 'admin', name: 'Joe'}}, millis: 150}, // Not served by the hidden index but uses its field
+						{op: 'query', ns: 'test.users', command: {find: 'users', filter: {status: 'active'}}, millis: 150}, // Does not use its fields
+						{op: 'query', ns: 'test.users', command: {find: 'users', filter: {role: 'user', name: {$gt: 'A'}}}, millis: 50}, // Fast
+					], err => {
+						expect(err).to.be.not.ok;
+
+						settle(()=> {
+							expect(staged.autoIndexerStaged[0].regressions.map(r => r.reason)).to.deep.equal(['Query shape {name:equality,role:equality} took 150ms']);
+							monoxide.uninstallAutoIndexer(done);
+						});
+					});
+				});
+			});
+		});
+
+		it('should not forget staged state on a dry run', done => {
+			install({}, schemas(), monoxide => {
+				var staged = monoxide.connection.db.collections;
+
+				monoxide.cleanIndexes({stage: true}, err => {
+					expect(err).to.be.not.ok;
+					expect(staged.autoIndexerStaged).to.have.length(1);
+
+					monoxide.models.users.$indexes.pop(); // Dropped by hand
+					monoxide.indexReport({clean: {stage: true}}, err => {
+						expect(err).to.be.not.ok;
+						expect(staged.autoIndexerStaged).to.have.length(1);
+
+						monoxide.cleanIndexes({stage: true}, err => {
+							expect(err).to.be.not.ok;
+							expect(staged.autoIndexerStaged).to.have.length(0);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+	});
+
+
+	describe('cleaning', function() {
+
+		it('should never treat unique or TTL indexes as redundant', done => {
+			install({}, {users: {meta: _.assign({created: {type: 'date'}}, userMeta), indexes: [
+				{name: 'name_1', key: {name: 1}, unique: true},
+				{name: 'name_1_role_1', key: {name: 1, role: 1}, unique: true},
+				{name: 'created_1', key: {created: 1}, expireAfterSeconds: 3600},
+				{name: 'created_1_role_1', key: {created: 1, role: 1}},
+				{name: 'status_1', key: {status: 1}},
+				{name: 'status_1_role_1', key: {status: 1, role: 1}},
+			]}}, monoxide => {
+				monoxide.cleanIndexes({dryRun: true, redundant: true, onlyAutoCreated: false}, (err, result) => {
+					expect(err).to.be.not.ok;
+					expect(result.selected.map(i => [i.id, i.coveredBy])).to.deep.equal([['users.status', 'users.{status,role}']]);
+					done();
+				});
+			});
+		});
+
+		it('should clean auto-created compound indexes which start with a manually indexed path', done => {
+			install({}, {users: {meta: userMeta, indexes: [
+				{name: 'email_1', key: {email: 1}}, // Declared in the schema
+				{name: 'autoIndex_email_1_name_1', key: {email: 1, name: 1}},
+			]}}, monoxide => {
+				monoxide.cleanIndexes({dryRun: true, onlyAutoCreated: false}, (err, result) => {
+					expect(err).to.be.not.ok;
+					expect(result.filtered.indexFilter.map(i => i.id)).to.deep.equal(['users._id', 'users.email']);
+					expect(result.selected.map(i => i.id)).to.deep.equal(['users.{email,name}']);
+					done();
+				});
+			});
+		});
+
+	});
+
+
+	describe('usage history', function() {
+
+		var day = 1000 * 60 * 60 * 24;
+		var now = new Date('2018-01-11T00:00:00Z').getTime();
+
+		it('should snapshot index stats every statsInterval until uninstalled', done => {
+			install({statsInterval: 10}, {users: {meta: userMeta, indexes: [{name: 'autoIndex_role_1', key: {role: 1}, hits: 5}]}}, monoxide => {
+				var stats = ()=> monoxide.connection.db.collections.autoIndexerStats || [];
+				expect(stats()).to.have.length(0); // Nothing until the first interval
+
+				setTimeout(()=> {
+					expect(stats().map(doc => [doc._id, doc.total])).to.deep.equal([['users._id_', 0], ['users.autoIndex_role_1', 5]]);
+
+					monoxide.uninstallAutoIndexer(err => {
+						expect(err).to.be.not.ok;
+						setTimeout(()=> { // Let any in-flight snapshot finish
+							monoxide.models.users.$indexes[1].hits = 50;
+
+							setTimeout(()=> {
+								expect(stats().find(doc => doc._id == 'users.autoIndex_role_1')).to.have.property('total', 5);
+								done();
+							}, 30);
+						}, 10);
+					});
+				}, 35);
+			});
+		});
+
+		it('should use the history totals when cleaning with history', done => {
+			install({}, {users: {meta: userMeta, indexes: [
+				{name: 'autoIndex_role_1', key: {role: 1}, hits: 0}, // Counter reset by a restart
+				{name: 'autoIndex_status_1', key: {status: 1}, hits: 0},
+			]}}, monoxide => {
+				monoxide.connection.db.collections.autoIndexerStats = [
+					{_id: 'users.autoIndex_role_1', collection: 'users', name: 'autoIndex_role_1', total: 500, firstSeen: new Date(now - 10 * day)},
+				];
+
+				monoxide.cleanIndexes({dryRun: true, history: false}, (err, result) => {
+					expect(err).to.be.not.ok;
+					expect(result.selected.map(i => i.id)).to.have.members(['users.role', 'users.status']);
+
+					monoxide.cleanIndexes({dryRun: true, history: true}, (err, result) => {
+						expect(err).to.be.not.ok;
+						expect(result.selected.map(i => i.id)).to.deep.equal(['users.status']);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should compare hit rates over hitPeriod and skip indexes younger than minAge', done => {
+			install({}, {users: {meta: userMeta, indexes: [
+				{name: 'autoIndex_role_1', key: {role: 1}, hits: 50, since: new Date(now - 10 * day)}, // 5 per day
+				{name: 'autoIndex_status_1', key: {status: 1}, hits: 50, since: new Date(now - 2 * day)}, // 25 per day
+				{name: 'autoIndex_name_1', key: {name: 1}, hits: 0, since: new Date(now - 1000 * 60 * 60)}, // Too young
+				{name: 'autoIndex_name_1_role_1', key: {name: 1, role: 1}, hits: 0, since: new Date(now - 1000 * 60 * 60)}, // Rebuilt recently but known for longer
+			]}}, monoxide => {
+				monoxide.connection.db.collections.autoIndexerStats = [
+					{_id: 'users.autoIndex_name_1_role_1', collection: 'users', name: 'autoIndex_name_1_role_1', total: 0, firstSeen: new Date(now - 10 * day)},
+				];
+
+				monoxide.cleanIndexes({dryRun: true, history: true, now: ()=> now, hitMin: 10, hitPeriod: day, minAge: day}, (err, result) => {
+					expect(err).to.be.not.ok;
+					expect(result.filtered.minAge.map(i => i.id)).to.deep.equal(['users.name']);
+					expect(result.selected.map(i => i.id)).to.have.members(['users.role', 'users.{name,role}']);
+					expect(result.selected.find(i => i.id == 'users.role').reason).to.equal(`Averaging 5 hits per ${day}ms (minimum 10)`);
+					done();
+				});
+			});
+		});
+
+	});
+
+
+	describe('schedule', function() {
+
+		it('should defer builds to the window and stop cleaning at its end', done => {
+			var now = new Date(2018, 0, 1, 1, 0).getTime(); // 1am local, an hour before the window
+			var schemas = {users: {meta: userMeta, indexes: [
+				{name: 'autoIndex_role_1', key: {role: 1}, hits: 0},
+				{name: 'autoIndex_status_1', key: {status: 1}, hits: 0},
+			]}};
+
+			install({schedule: {
+				windows: ['0 2 * * *'],
+				duration: 1000 * 60 * 60,
+				builds: true,
+				interval: 5,
+				now: ()=> now,
+				clean: {indexFilter: index => !index.spec.name}, // Leave the deferred build alone so the drops are predictable
+			}}, schemas, monoxide => {
+				var users = monoxide.models.users;
+				var calls = listen(users, ['autoIndexer.build']);
+
+				var dropIndex = users.$mongoModel.dropIndex;
+				users.$mongoModel.dropIndex = (index, callback) => dropIndex(index, err => {
+					now = new Date(2018, 0, 1, 3, 0).getTime(); // The first drop takes until the end of the window
+					callback(err);
+				});
+
+				monoxide.fire = (name, callback, run) => {
+					if (name != 'autoIndexer.schedule') return setImmediate(callback);
+					expect(run.window).to.deep.include({cron: '0 2 * * *', end: new Date(2018, 0, 1, 3, 0)});
+					expect(run.err).to.be.not.ok;
+					expect(run.cleaned).to.have.length(1);
+					expect(run.pending).to.equal(0);
+					expect(calls['autoIndexer.build']).to.have.length(1); // Built once the window opened
+					expect(users.$indexes.map(i => i.name)).to.include('autoIndex_name_1');
+					expect(users.$indexes.filter(i => ['autoIndex_role_1', 'autoIndex_status_1'].includes(i.name))).to.have.length(1); // Second drop was deferred
+					setImmediate(callback);
+					monoxide.uninstallAutoIndexer(done);
+				};
+
+				query(users, [{$collection: 'users', name: 'Joe'}], err => {
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.build');
+					expect(monoxide.indexQueue().status().pending).to.have.length(1);
+
+					setTimeout(()=> {
+						expect(calls).to.not.have.property('autoIndexer.build'); // Still outside the window
+						now = new Date(2018, 0, 1, 2, 0).getTime(); // Open the window
+					}, 20);
+				});
+			});
+		});
+
+	});
+
+
+	describe('index budget', function() {
+
+		it('should refuse new indexes at the budget when budgetMode=refuse', done => {
+			install({maxIndexes: 2}, {users: {meta: userMeta, indexes: [{name: 'autoIndex_role_1', key: {role: 1}}]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build', 'autoIndexer.postBuild', 'autoIndexer.evict']);
+
+				monoxide.models.users.fire('query', err => {
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.build');
+					expect(calls).to.not.have.property('autoIndexer.evict');
+					expect(calls['autoIndexer.postBuild']).to.have.length(1);
+					expect(calls['autoIndexer.postBuild'][0][3]).to.equal('Index budget of 2 indexes exceeded for users');
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'autoIndex_role_1']);
+					done();
+				}, {$collection: 'users', name: 'Joe'});
+			});
+		});
+
+		it('should evict the least used auto-created index when budgetMode=evict', done => {
+			install({maxIndexes: 4, budgetMode: 'evict'}, {users: {meta: userMeta, indexes: [
+				{name: 'autoIndex_role_1', key: {role: 1}, hits: 5},
+				{name: 'autoIndex_status_1', key: {status: 1}, hits: 1},
+				{name: 'email_1', key: {email: 1}, hits: 0}, // Least used but not auto-created
+			]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build', 'autoIndexer.evict']);
+
+				monoxide.models.users.fire('query', err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.evict']).to.have.length(1);
+					expect(calls['autoIndexer.evict'][0][1]).to.deep.include({name: 'autoIndex_status_1', hits: 1});
+					expect(calls['autoIndexer.evict'][0][2]).to.deep.equal({name: 1});
+					expect(calls['autoIndexer.build']).to.have.length(1);
+					expect(monoxide.models.users.$indexes.map(i => i.name)).to.deep.equal(['_id_', 'autoIndex_role_1', 'email_1', 'autoIndex_name_1']);
+					done();
+				}, {$collection: 'users', name: 'Joe'});
+			});
+		});
+
+		it('should refuse when there is nothing to evict', done => {
+			install({maxIndexes: 2, budgetMode: 'evict'}, {users: {meta: userMeta, indexes: [{name: 'email_1', key: {email: 1}}]}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.postBuild', 'autoIndexer.evict']);
+
+				monoxide.models.users.fire('query', err => {
+					expect(err).to.be.not.ok;
+					expect(calls).to.not.have.property('autoIndexer.evict');
+					expect(calls['autoIndexer.postBuild'][0][3]).to.equal('Index budget of 2 indexes exceeded for users');
+					expect(monoxide.models.users.$indexes).to.have.length(2);
+					done();
+				}, {$collection: 'users', name: 'Joe'});
+			});
+		});
+
+		it('should read per-model budgets', done => {
+			install({maxIndexes: {widgets: 1}}, {users: {meta: userMeta}}, monoxide => {
+				var calls = listen(monoxide.models.users, ['autoIndexer.build']);
+
+				monoxide.models.users.fire('query', err => {
+					expect(err).to.be.not.ok;
+					expect(calls['autoIndexer.build']).to.have.length(1); // No budget for users
+					done();
+				}, {$collection: 'users', name: 'Joe'});
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,122 @@
+var expect = require('chai').expect;
+var analyser = require('../lib/analyser');
+var fakeDb = require('./fakes/db');
+var fixtures = require('./fixtures/profile');
+var indexProfiler = require('../lib/profiler');
+var pipeline = require('../lib/pipeline');
+
+describe('monoxide-auto-indexer - profiler', function() {
+
+	it('should normalise find commands', ()=> {
+		expect(indexProfiler.normalise(fixtures.profile[0])).to.deep.equal({
+			collection: 'users',
+			operation: 'find',
+			q: {
+				$collection: 'users',
+				role: 'admin',
+				created: {$gte: new Date('2018-01-01T00:00:00Z')},
+				$sort: {name: -1},
+			},
+			millis: 120,
+		});
+	});
+
+	it('should normalise legacy queries', ()=> {
+		expect(indexProfiler.normalise(fixtures.profile[2])).to.deep.equal({
+			collection: 'users',
+			operation: 'find',
+			q: {$collection: 'users', name: /^Jo/, $sort: {created: 1}},
+			millis: 80,
+		});
+	});
+
+	it('should keep collations', ()=> {
+		expect(indexProfiler.normalise(fixtures.profile[4]).q).to.have.deep.property('$collation', {locale: 'en', strength: 2});
+	});
+
+	it('should normalise count, distinct, update and delete operations', ()=> {
+		expect(fixtures.operations.slice(0, 4).map(indexProfiler.normalise)).to.deep.equal([
+			{collection: 'users', operation: 'count', q: {$collection: 'users', role: 'admin'}, millis: 30},
+			{collection: 'users', operation: 'distinct', q: {$collection: 'users', role: 'admin', $sort: {name: 1}}, millis: 40},
+			{collection: 'users', operation: 'update', q: {$collection: 'users', email: 'joe@example.com'}, millis: 50},
+			{collection: 'users', operation: 'delete', q: {$collection: 'users', status: 'deleted', $collation: {locale: 'en', strength: 2}}, millis: 60},
+		]);
+	});
+
+	it('should return aggregation pipelines for pipeline.getQueries()', ()=> {
+		var query = indexProfiler.normalise(fixtures.operations[4]);
+
+		expect(query).to.deep.equal({
+			collection: 'users',
+			operation: 'aggregate',
+			stages: fixtures.operations[4].command.pipeline,
+			millis: 70,
+		});
+
+		expect(pipeline.getQueries(query.collection, query.stages).map(q => q.q)).to.deep.equal([
+			{$collection: 'users', role: 'admin', $sort: {name: 1}},
+			{$collection: 'posts', author: {$eq: null}},
+		]);
+	});
+
+	it('should ignore non-query and system entries', ()=> {
+		expect(indexProfiler.normalise(fixtures.profile[1])).to.be.undefined;
+		expect(indexProfiler.normalise(fixtures.profile[3])).to.be.undefined;
+		expect(indexProfiler.normalise(fixtures.log[1])).to.be.undefined;
+	});
+
+	it('should normalise slow query log entries with Extended JSON values', ()=> {
+		var query = indexProfiler.normalise(fixtures.log[0]);
+
+		expect(query).to.deep.equal({
+			collection: 'users',
+			operation: 'find',
+			q: {
+				$collection: 'users',
+				_id: '5a4a8a8e1c9d440000a1b2c3',
+				age: {$gt: 18},
+				created: {$lt: new Date('2018-01-01T00:00:00Z')},
+				name: {$regex: '^jo', $options: 'i'},
+			},
+			millis: 250,
+		});
+
+		expect(analyser(query.q).fields).to.deep.equal({
+			_id: 'equality',
+			age: 'range',
+			created: 'range',
+			name: 'regex',
+		});
+	});
+
+	it('should produce the same shapes as the query hook', ()=> {
+		expect(analyser(indexProfiler.normalise(fixtures.profile[0]).q).shape).to.equal(analyser({
+			$collection: 'users',
+			role: 'admin',
+			created: {$gte: new Date()},
+			$sort: '-name',
+		}).shape);
+	});
+
+	it('should read new entries from the profile collection', done => {
+		var db = fakeDb();
+		db.collections['system.profile'] = fixtures.profile.slice(0, 3);
+		var profiler = indexProfiler({slowMs: 100});
+
+		profiler.read(db, (err, queries) => {
+			expect(err).to.be.not.ok;
+			expect(queries.map(q => q.millis)).to.deep.equal([120]);
+			expect(profiler.since).to.deep.equal(new Date('2018-01-01T00:00:03Z'));
+
+			db.collections['system.profile'].push(...fixtures.profile.slice(3));
+
+			profiler.read(db, (err, queries) => {
+				expect(err).to.be.not.ok;
+				expect(queries).to.be.empty; // Both new entries are under slowMs
+				expect(profiler.since).to.deep.equal(new Date('2018-01-01T00:00:05Z'));
+				done();
+			});
+		});
+	});
+
+});
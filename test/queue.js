@@ -0,0 +1,88 @@
+var _ = require('lodash');
+var expect = require('chai').expect;
+var buildQueue = require('../lib/queue');
+
+describe('monoxide-auto-indexer - build queue', function() {
+
+	it('should run jobs one at a time by default', done => {
+		var queue = buildQueue();
+		var log = [];
+		var finishers = {};
+
+		['a', 'b', 'c'].forEach(id => queue.add(id, jobDone => {
+			log.push(id);
+			finishers[id] = jobDone;
+		}));
+
+		expect(log).to.deep.equal(['a']);
+		expect(queue.status().pending.map(j => j.id)).to.deep.equal(['b', 'c']);
+		expect(queue.status().running.map(j => j.id)).to.deep.equal(['a']);
+
+		finishers.a();
+		expect(log).to.deep.equal(['a', 'b']);
+		finishers.b();
+		finishers.c();
+		expect(log).to.deep.equal(['a', 'b', 'c']);
+
+		queue.drain(done);
+	});
+
+	it('should run jobs with a configurable concurrency', ()=> {
+		var queue = buildQueue({concurrency: 2});
+		var log = [];
+
+		['a', 'b', 'c'].forEach(id => queue.add(id, jobDone => log.push(id)));
+
+		expect(log).to.deep.equal(['a', 'b']);
+		expect(queue.status().pending.map(j => j.id)).to.deep.equal(['c']);
+	});
+
+	it('should deduplicate pending and running jobs', ()=> {
+		var queue = buildQueue();
+		var runs = 0;
+		var callbacks = 0;
+		var finish;
+
+		expect(queue.add('a', jobDone => { runs++; finish = jobDone }, {}, ()=> callbacks++)).to.be.true;
+		expect(queue.add('a', jobDone => runs++, {}, ()=> callbacks++)).to.be.false;
+		expect(queue.add('b', jobDone => runs++)).to.be.true;
+		expect(queue.add('b', jobDone => runs++)).to.be.false;
+
+		expect(runs).to.equal(1);
+		finish();
+		expect(callbacks).to.equal(2);
+		expect(runs).to.equal(2);
+	});
+
+	it('should record failed jobs and clear them on success', ()=> {
+		var queue = buildQueue();
+
+		queue.add('a', jobDone => jobDone('Build failed'), {collection: 'users'});
+		expect(queue.status().failed).to.have.length(1);
+		expect(queue.status().failed[0]).to.have.property('id', 'a');
+		expect(queue.status().failed[0]).to.have.property('error', 'Build failed');
+		expect(queue.status().failed[0]).to.have.property('collection', 'users');
+
+		queue.add('a', jobDone => jobDone());
+		expect(queue.status().failed).to.have.length(0);
+	});
+
+	it('should hold jobs while paused', ()=> {
+		var queue = buildQueue({paused: true});
+		var log = [];
+
+		queue.add('a', jobDone => { log.push('a'); jobDone() });
+		queue.add('b', jobDone => { log.push('b'); jobDone() });
+		expect(log).to.deep.equal([]);
+		expect(queue.status()).to.have.property('paused', true);
+		expect(queue.status().pending).to.have.length(2);
+
+		queue.resume();
+		expect(log).to.deep.equal(['a', 'b']);
+
+		queue.pause();
+		queue.add('c', jobDone => { log.push('c'); jobDone() });
+		expect(log).to.deep.equal(['a', 'b']);
+	});
+
+});
@@ -0,0 +1,41 @@
+var expect = require('chai').expect;
+var indexReport = require('../lib/report');
+
+describe('monoxide-auto-indexer - report', function() {
+
+	it('should format a report as Markdown', ()=> {
+		var markdown = indexReport.toMarkdown({
+			created: new Date('2018-01-01T00:00:00Z'),
+			models: {
+				users: {
+					existing: [
+						{id: 'users._id', name: '_id_', key: {_id: 1}, hits: 10, autoCreated: false},
+						{id: 'users.name', name: 'autoIndex_name_1', key: {name: 1}, hits: 2, autoCreated: true, verification: {effective: false, reason: 'Not used by the winning plan (COLLSCAN)'}},
+						{id: 'users.role', name: 'autoIndex_role_1', key: {role: 1}, hits: 0, autoCreated: true, staged: {hidden: new Date('2018-01-01T00:00:00Z'), until: new Date('2018-01-08T00:00:00Z'), reason: 'Only 0 hits (minimum 100)', regressions: [{reason: 'Needed by query shape {role:equality}'}]}},
+					],
+					create: [
+						{id: 'users.{role,-created}', key: {role: 1, created: -1}, hits: 5, shapes: [{shape: '{role:equality} sort:-created', hits: 5, promoted: true}]},
+					],
+					drop: [
+						{id: 'users.name', name: 'autoIndex_name_1', key: {name: 1}, hits: 2, reason: 'Only 2 hits (minimum 100)'},
+					],
+				},
+				widgets: {
+					existing: [],
+					create: [],
+					drop: [],
+				},
+			},
+		});
+
+		expect(markdown).to.contain('Generated 2018-01-01T00:00:00.000Z');
+		expect(markdown).to.contain('## users');
+		expect(markdown).to.contain('| users._id | `{"_id":1}` | 10 | No | - |');
+		expect(markdown).to.contain('| users.name | `{"name":1}` | 2 | Yes | No - Not used by the winning plan (COLLSCAN) |');
+		expect(markdown).to.contain('| users.role | `{"role":1}` | 0 | Yes | - | Hidden until 2018-01-08T00:00:00.000Z (1 regressions) |');
+		expect(markdown).to.contain('| users.{role,-created} | `{"role":1,"created":-1}` | 5 | `{role:equality} sort:-created` |');
+		expect(markdown).to.contain('| users.name | `{"name":1}` | 2 | Only 2 hits (minimum 100) |');
+		expect(markdown).to.match(/## widgets\n\n### Existing indexes\nNone\n/);
+	});
+
+});
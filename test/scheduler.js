@@ -0,0 +1,64 @@
+var expect = require('chai').expect;
+var indexScheduler = require('../lib/scheduler');
+
+describe('monoxide-auto-indexer - scheduler', function() {
+
+	it('should parse cron expressions', ()=> {
+		var weekdays = indexScheduler.parseCron('0 2 * * 1-5');
+		expect(weekdays(new Date(2020, 0, 6, 2, 0))).to.be.true; // Monday 2am
+		expect(weekdays(new Date(2020, 0, 6, 2, 1))).to.be.false;
+		expect(weekdays(new Date(2020, 0, 5, 2, 0))).to.be.false; // Sunday
+
+		var quarters = indexScheduler.parseCron('0-59/15 * * * 0,7');
+		expect(quarters(new Date(2020, 0, 5, 13, 45))).to.be.true; // Sunday
+		expect(quarters(new Date(2020, 0, 5, 13, 50))).to.be.false;
+
+		expect(()=> indexScheduler.parseCron('0 2 * *')).to.throw(/expected 5 fields/);
+		expect(()=> indexScheduler.parseCron('0 25 * * *')).to.throw(/Invalid hour/);
+	});
+
+	it('should find the open window', ()=> {
+		var scheduler = indexScheduler({windows: ['0 2 * * *', {cron: '30 12 * * *', duration: 1000 * 60 * 5}]});
+
+		expect(scheduler.getWindow(new Date(2020, 0, 1, 1, 59).getTime())).to.be.undefined;
+		expect(scheduler.getWindow(new Date(2020, 0, 1, 2, 30).getTime())).to.deep.equal({
+			cron: '0 2 * * *',
+			start: new Date(2020, 0, 1, 2, 0),
+			end: new Date(2020, 0, 1, 3, 0),
+		});
+		expect(scheduler.getWindow(new Date(2020, 0, 1, 3, 0).getTime())).to.be.undefined;
+		expect(scheduler.getWindow(new Date(2020, 0, 1, 12, 34).getTime())).to.have.property('cron', '30 12 * * *');
+		expect(scheduler.getWindow(new Date(2020, 0, 1, 12, 36).getTime())).to.be.undefined;
+	});
+
+	it('should open and close windows as time passes', done => {
+		var now = new Date(2020, 0, 1, 1, 0).getTime();
+		var log = [];
+		var scheduler = indexScheduler({
+			windows: ['0 2 * * *'],
+			now: ()=> now,
+			onStart: (window, next) => { log.push(['start', window.start.getHours()]); next() },
+			onEnd: (window, next) => { log.push(['end', window.end.getHours()]); next() },
+		});
+
+		scheduler.tick(()=> {
+			expect(log).to.deep.equal([]);
+
+			now = new Date(2020, 0, 1, 2, 0).getTime();
+			scheduler.tick(()=> {
+				now = new Date(2020, 0, 1, 2, 30).getTime();
+				scheduler.tick(()=> {
+					expect(log).to.deep.equal([['start', 2]]);
+
+					now = new Date(2020, 0, 1, 3, 0).getTime();
+					scheduler.tick(()=> {
+						expect(log).to.deep.equal([['start', 2], ['end', 3]]);
+						expect(scheduler.active).to.be.undefined;
+						done();
+					});
+				});
+			});
+		});
+	});
+
+});
@@ -245,6 +245,7 @@ module.exports = {
 	initPlugin: function(finish) {
 		monoxide.use(monoxideAutoIndexer({
 			sortIndexes: true,
+			background: false, // Wait for builds so we can test their results in sequence
 		}), finish);
 	},
 	// }}}
@@ -258,7 +259,7 @@ module.exports = {
 	// teardownSchemas {{{
 	teardownSchemas: function(finish) {
 		async()
-			.set('models', ['users', 'widgets', 'groups'])
+			.set('models', ['users', 'widgets', 'groups', 'gadgets'])
 			.forEach('models', function(next, id) {
 				monoxide.connection.db.dropCollection(id, ()=> next());
 			})
@@ -0,0 +1,85 @@
+var expect = require('chai').expect;
+var fakeDb = require('./fakes/db');
+var indexStaging = require('../lib/staging');
+
+describe('monoxide-auto-indexer - staged removal', function() {
+
+	var now;
+	var db;
+	var staging;
+	var index = {model: {$collection: 'users'}, name: 'autoIndex_name_1', spec: {name: 1}, reason: 'Only 0 hits (minimum 100)'};
+	beforeEach(()=> {
+		now = 1000 * 60 * 60 * 24;
+		db = fakeDb();
+		staging = indexStaging({regressionLimit: 2, now: ()=> now});
+	});
+
+	it('should decide what to do with a selected index', ()=> {
+		expect(indexStaging.getAction(undefined, now)).to.equal('hide');
+		expect(indexStaging.getAction({until: new Date(now + 1), regressions: []}, now)).to.equal('wait');
+		expect(indexStaging.getAction({until: new Date(now), regressions: []}, now)).to.equal('drop');
+		expect(indexStaging.getAction({until: new Date(now - 1), regressions: [{reason: 'Needed'}]}, now)).to.equal('restore');
+	});
+
+	it('should stage, load and remove indexes', done => {
+		staging.stage(db, index, 1000, (err, staged) => {
+			expect(err).to.be.not.ok;
+			expect(staged).to.deep.include({
+				_id: 'users.autoIndex_name_1',
+				collection: 'users',
+				name: 'autoIndex_name_1',
+				key: {name: 1},
+				reason: 'Only 0 hits (minimum 100)',
+				hidden: new Date(now),
+				until: new Date(now + 1000),
+				regressions: [],
+			});
+
+			staging.load(db, (err, res) => {
+				expect(err).to.be.not.ok;
+				expect(res).to.have.all.keys('users.autoIndex_name_1');
+
+				staging.remove(db, 'users.autoIndex_name_1', err => {
+					expect(err).to.be.not.ok;
+
+					staging.load(db, (err, res) => {
+						expect(err).to.be.not.ok;
+						expect(res).to.deep.equal({});
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it('should refuse to stage an index twice', done => {
+		staging.stage(db, index, 1000, err => {
+			expect(err).to.be.not.ok;
+			staging.stage(db, index, 1000, err => {
+				expect(err).to.have.property('code', 11000);
+				done();
+			});
+		});
+	});
+
+	it('should record a limited number of regressions against staged indexes only', done => {
+		staging.stage(db, index, 1000, err => {
+			expect(err).to.be.not.ok;
+			staging.regress(db, 'users', 'autoIndex_name_1', 'First', ()=> {
+				staging.regress(db, 'users', 'autoIndex_name_1', 'Second', ()=> {
+					staging.regress(db, 'users', 'autoIndex_name_1', 'Third', ()=> {
+						staging.regress(db, 'users', 'role_1', 'Not staged', ()=> {
+							staging.load(db, (err, res) => {
+								expect(err).to.be.not.ok;
+								expect(res).to.have.all.keys('users.autoIndex_name_1');
+								expect(res['users.autoIndex_name_1'].regressions.map(r => r.reason)).to.deep.equal(['Second', 'Third']);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+
+});
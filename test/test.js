@@ -1,6 +1,7 @@
 var _ = require('lodash');
 var expect = require('chai').expect;
 var monoxide = require('monoxide');
+var monoxideAutoIndexer = require('..');
 var testSetup = require('./setup');
 
 describe('monoxide-auto-indexer', function() {
@@ -68,6 +69,7 @@ describe('monoxide-auto-indexer', function() {
 		monoxide.models.users.getIndexes((err, indexes) => {
 			expect(err).to.not.be.ok;
 			expect(indexes).to.satisfy(indexes => indexes.some(i => _.isEqual(i.key, {name: 1})));
+			expect(indexes.find(i => _.isEqual(i.key, {name: 1}))).to.have.property('name', 'autoIndex_name_1');
 			done();
 		});
 	});
@@ -95,17 +97,14 @@ describe('monoxide-auto-indexer', function() {
 	});
 
 
-	it('should correctly identify when to create indexes (-name [via sort])', function(done) {
+	it('should not create reversed indexes (-name [via sort])', function(done) {
 		var hookCalls = {};
 		monoxide.models.users
 			.hook('autoIndexer.query', (hookDone, indexes) => {
 				hookCalls['autoIndexer.query'] = indexes;
 				hookDone();
 			})
-			.hook('autoIndexer.build', (hookDone, model, index, mongoSpec) => {
-				hookCalls['autoIndexer.build'] = {index, mongoSpec};
-				hookDone();
-			})
+			.hook('autoIndexer.build', _.once((a, model, index) => done(`should not actually build anything - {name: 1} can be walked backwards. Asked to build [${index}]`)))
 			.find()
 			.sort('-name')
 			.exec(function(err, res) {
@@ -114,19 +113,15 @@ describe('monoxide-auto-indexer', function() {
 				expect(res).to.have.length(2);
 
 				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['-name']]);
-				expect(hookCalls['autoIndexer.build']).to.be.deep.equal({
-					index: ['-name'],
-					mongoSpec: {name: -1},
-				});
 
 				done();
 			});
 	});
 
-	it('should have created the index {name: -1}', done => {
+	it('should not have created the index {name: -1}', done => {
 		monoxide.models.users.getIndexes((err, indexes) => {
 			expect(err).to.not.be.ok;
-			expect(indexes).to.satisfy(indexes => indexes.some(i => _.isEqual(i.key, {name: -1})));
+			expect(indexes).to.not.satisfy(indexes => indexes.some(i => _.isEqual(i.key, {name: -1})));
 			done();
 		});
 	});
@@ -168,19 +163,44 @@ describe('monoxide-auto-indexer', function() {
 		monoxide.models.users.getIndexes((err, indexes) => {
 			expect(err).to.not.be.ok;
 			expect(indexes).to.satisfy(indexes => indexes.some(i => _.isEqual(i.key, {name: 1, role: 1})));
+			expect(indexes.find(i => _.isEqual(i.key, {name: 1, role: 1}))).to.have.property('name', 'autoIndex_name_1_role_1');
 			done();
 		});
 	});
 
 
-	it('should correctly identify when to create indexes (name [via sort], role [via query])', function(done) {
+	it('should not create indexes which are a prefix of an existing index (name [via query])', function(done) {
 		var hookCalls = {};
 		monoxide.models.users
 			.hook('autoIndexer.query', (hookDone, indexes) => {
 				hookCalls['autoIndexer.query'] = indexes;
 				hookDone();
 			})
-			.hook('autoIndexer.build', _.once((a, model, index) => done(`should not actually build anything - index should have been created in previous step. Asked to build [${index}]`)))
+			.hook('autoIndexer.build', _.once((a, model, index) => done(`should not actually build anything - {name: 1, role: 1} already covers this. Asked to build [${index}]`)))
+			.find({name: 'Jane Quark'})
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(res).to.have.length(1);
+
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['name']]);
+
+				done();
+			});
+	});
+
+
+	it('should correctly identify when to create compound indexes (role [via query], name [via sort])', function(done) {
+		var hookCalls = {};
+		monoxide.models.users
+			.hook('autoIndexer.query', (hookDone, indexes) => {
+				hookCalls['autoIndexer.query'] = indexes;
+				hookDone();
+			})
+			.hook('autoIndexer.build', (hookDone, model, index, mongoSpec) => {
+				hookCalls['autoIndexer.build'] = {index, mongoSpec};
+				hookDone();
+			})
 			.find({role: 'user'})
 			.sort('name')
 			.exec(function(err, res) {
@@ -188,7 +208,105 @@ describe('monoxide-auto-indexer', function() {
 				expect(res).to.be.an('array');
 				expect(res).to.have.length(2);
 
-				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['name'], ['role']]);
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['role', 'name']]);
+				expect(hookCalls['autoIndexer.build']).to.be.deep.equal({
+					index: ['role', 'name'],
+					mongoSpec: {role: 1, name: 1},
+				});
+
+				done();
+			});
+	});
+
+
+	it('should correctly order compound indexes as equality, sort then range (role [via query], -name [via sort], created [via range query])', function(done) {
+		var hookCalls = {};
+		monoxide.models.widgets
+			.hook('autoIndexer.query', (hookDone, indexes) => {
+				hookCalls['autoIndexer.query'] = indexes;
+				hookDone();
+			})
+			.hook('autoIndexer.build', (hookDone, model, index, mongoSpec) => {
+				hookCalls['autoIndexer.build'] = {index, mongoSpec};
+				hookDone();
+			})
+			.find({
+				created: {$gt: new Date('2016-01-01')},
+				color: 'blue',
+			})
+			.sort('-name')
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(res).to.have.length(2);
+
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['color', '-name', 'created']]);
+				expect(hookCalls['autoIndexer.build']).to.be.deep.equal({
+					index: ['color', '-name', 'created'],
+					mongoSpec: {color: 1, name: -1, created: 1},
+				});
+
+				done();
+			});
+	});
+
+
+	it('should skip fields that cannot use an index (role [via query], name [via $ne query])', function(done) {
+		var hookCalls = {};
+		monoxide.models.users
+			.hook('autoIndexer.query', (hookDone, indexes, analysis) => {
+				hookCalls['autoIndexer.query'] = {indexes, analysis};
+				hookDone();
+			})
+			.hook('autoIndexer.build', _.once((a, model, index) => done(`should not actually build anything - {role: 1} already exists and name is a $ne so cannot use an index. Asked to build [${index}]`)))
+			.find({
+				role: 'user',
+				name: {$ne: 'Nobody'},
+			})
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(res).to.have.length(2);
+
+				expect(hookCalls['autoIndexer.query'].indexes).to.be.deep.equal([['role']]);
+				expect(hookCalls['autoIndexer.query'].analysis.fields).to.be.deep.equal({
+					role: 'equality',
+					name: 'negation',
+				});
+
+				done();
+			});
+	});
+
+
+	it('should create one index per $or branch (color [via query], name or featured [via $or query])', function(done) {
+		var hookCalls = {'autoIndexer.build': []};
+		monoxide.models.widgets
+			.hook('autoIndexer.query', (hookDone, indexes) => {
+				hookCalls['autoIndexer.query'] = indexes;
+				hookDone();
+			})
+			.hook('autoIndexer.build', (hookDone, model, index, mongoSpec) => {
+				hookCalls['autoIndexer.build'].push({index, mongoSpec});
+				hookDone();
+			})
+			.find({
+				color: 'red',
+				$or: [
+					{name: 'Widget bang'},
+					{featured: true},
+				],
+			})
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(res).to.have.length(1);
+
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['color', 'name'], ['color', 'featured']]);
+				expect(hookCalls['autoIndexer.build']).to.be.deep.equal([
+					{index: ['color', 'name'], mongoSpec: {color: 1, name: 1}},
+					{index: ['color', 'featured'], mongoSpec: {color: 1, featured: 1}},
+				]);
 
 				done();
 			});
@@ -213,13 +331,115 @@ describe('monoxide-auto-indexer', function() {
 				expect(res).to.be.an('array');
 				expect(res).to.have.length(1);
 
-				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['mostPurchased.0.number'], ['role']]);
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['mostPurchased.0.number', 'role']]);
 				expect(hookCalls['autoIndexer.build']).to.be.deep.equal({
-					index: ['mostPurchased.0.number'],
-					mongoSpec: {'mostPurchased.0.number': 1},
+					index: ['mostPurchased.0.number', 'role'],
+					mongoSpec: {'mostPurchased.0.number': 1, role: 1},
+				});
+
+				done();
+			});
+	});
+
+
+	it('should export and diff index manifests', function(done) {
+		monoxide.exportIndexes({format: 'yaml'}, (err, yaml) => {
+			expect(err).to.not.be.ok;
+			expect(yaml).to.be.a('string');
+
+			monoxide.applyIndexes(yaml, {dryRun: true}, (err, diff) => {
+				expect(err).to.not.be.ok;
+				expect(diff).to.deep.equal({create: [], drop: []});
+
+				monoxide.exportIndexes((err, manifest) => {
+					expect(err).to.not.be.ok;
+					expect(manifest).to.have.property('version', 1);
+					expect(manifest.models.users.map(i => i.name)).to.include('autoIndex_name_1_role_1');
+
+					manifest.models.users = manifest.models.users.filter(i => i.name != 'autoIndex_name_1_role_1');
+					monoxide.applyIndexes(manifest, {dryRun: true}, (err, diff) => {
+						expect(err).to.not.be.ok;
+						expect(diff.create).to.deep.equal([]);
+						expect(diff.drop.map(i => i.id)).to.deep.equal(['users.{name,role}']);
+						done();
+					});
 				});
+			});
+		});
+	});
+
+
+	it('should report on indexes without changing anything', function(done) {
+		monoxide
+			.indexReport((err, report) => {
+				expect(err).to.not.be.ok;
+				expect(report).to.have.property('models');
+				expect(report.models).to.have.all.keys('users', 'widgets', 'groups');
+				expect(report.models.users.existing.map(i => i.id)).to.include('users.{name,role}');
+				expect(report.models.users.create).to.deep.equal([]);
+				expect(report.models.users.drop.map(i => i.id)).to.include('users.{name,role}');
+				expect(report.models.users.drop.find(i => i.id == 'users.{name,role}')).to.have.property('reason');
+
+				monoxide.models.users.getIndexes((err, indexes) => {
+					expect(err).to.not.be.ok;
+					expect(indexes).to.satisfy(indexes => indexes.some(i => _.isEqual(i.key, {name: 1, role: 1})));
+
+					monoxide.indexReport({format: 'markdown'}, (err, markdown) => {
+						expect(err).to.not.be.ok;
+						expect(markdown).to.be.a('string');
+						expect(markdown).to.contain('## users');
+						done();
+					});
+				});
+			});
+	});
+
+
+	it('should find indexes which are a prefix of another index', function(done) {
+		var hookCalls = {'autoIndexer.clean': []};
+		monoxide
+			.hook('autoIndexer.clean', (hookDone, index) => {
+				hookCalls['autoIndexer.clean'].push(index);
+				hookDone();
+			})
+
+		monoxide
+			.cleanIndexes({redundant: true, dryRun: true}, err => {
+				expect(err).to.not.be.ok;
+				expect(hookCalls['autoIndexer.clean'].map(c => [c.id, c.coveredBy])).to.deep.equal([
+					['users.name', 'users.{name,role}'],
+					// 'users.role', // Should not contain this as its manually specified
+				]);
 
 				done();
+			})
+	});
+
+
+	it('should return a promise of the cleaner results', function() {
+		return monoxide
+			.cleanIndexes({dryRun: true, emit: false})
+			.then(result => {
+				expect(result).to.have.keys('considered', 'filtered', 'selected', 'dropped', 'failed', 'skipped', 'deferred', 'hidden', 'staging', 'restored', 'models');
+				expect(result.filtered).to.have.keys('onlyAutoCreated', 'indexFilter', 'minAge', 'hitMin');
+				expect(result.filtered.onlyAutoCreated.map(i => i.id)).to.include('users.role'); // Manually specified so not auto created
+				expect(result.filtered.indexFilter.map(i => i.id)).to.not.include('users.{role,name}'); // Starts with the manually indexed `role` but is not itself manual
+				expect(result.selected.map(i => i.id)).to.have.members([ // $indexStats order is not guaranteed
+					'users.name',
+					'users.{name,role}',
+					'users.{role,name}',
+					'users.{mostPurchased.0.number,role}',
+					'widgets.{color,-name,created}',
+					'widgets.{color,name}',
+					'widgets.{color,featured}',
+				]);
+				expect(result.skipped.map(i => i.id)).to.deep.equal(result.selected.map(i => i.id));
+				expect(result.dropped).to.have.length(0);
+				expect(result.failed).to.have.length(0);
+				expect(result.models).to.have.property('users');
+				expect(result.models.users.selected).to.have.length(4);
+				expect(result.models).to.have.property('widgets');
+				expect(result.models.widgets.selected).to.have.length(3);
 			});
 	});
 
@@ -237,16 +457,190 @@ describe('monoxide-auto-indexer', function() {
 		monoxide
 			.cleanIndexes(err => {
 				expect(err).to.not.be.ok;
-				expect(hookCalls['autoIndexer.clean'].map(c => c.id)).to.deep.equal([
+				expect(hookCalls['autoIndexer.clean'].map(c => c.id)).to.have.members([ // $indexStats order is not guaranteed
 					'users.name',
 					'users.{name,role}',
-					'users.-name',
 					// 'users.role', // Should not contain this as its manually specified
-					'users.mostPurchased.0.number',
+					'users.{role,name}',
+					'users.{mostPurchased.0.number,role}',
+					'widgets.{color,-name,created}', // Starts with the manually indexed `color` but is auto-created
+					'widgets.{color,name}',
+					'widgets.{color,featured}',
+					// 'widgets.color', 'widgets.status', // Manually specified
 				]);
 
 				done();
 			})
 	});
 
+
+	it('should hook models defined after the plugin was installed', function(done) {
+		var hookCalls = {};
+		monoxide
+			.schema('gadgets', {
+				name: String,
+			})
+			.hook('autoIndexer.query', (hookDone, indexes) => {
+				hookCalls['autoIndexer.query'] = indexes;
+				hookDone();
+			})
+			.find({name: 'Gadget'})
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(hookCalls['autoIndexer.query']).to.be.deep.equal([['name']]);
+				done();
+			});
+	});
+
+
+	it('should analyse the leading stages of aggregation pipelines', function(done) {
+		var hookCalls = {};
+		monoxide.models.users
+			.hook('autoIndexer.query', (hookDone, indexes, analysis) => {
+				hookCalls['autoIndexer.query'] = {indexes, analysis};
+				hookDone();
+			})
+
+		monoxide.aggregate({
+			$collection: 'users',
+			$stages: [
+				{$match: {role: 'user'}},
+				{$sort: {name: 1}},
+				{$group: {_id: '$role', total: {$sum: 1}}},
+			],
+		}, (err, res) => {
+			expect(err).to.be.not.ok;
+			expect(res).to.be.an('array');
+			expect(hookCalls['autoIndexer.query'].indexes).to.be.deep.equal([['role', 'name']]);
+			expect(hookCalls['autoIndexer.query'].analysis).to.deep.include({source: 'aggregate', stage: '$match'});
+			done();
+		});
+	});
+
+
+	it('should treat back-reference queries as joins', function(done) {
+		var hookCalls = {};
+		monoxide.models.users
+			.hook('autoIndexer.query', (hookDone, indexes, analysis) => {
+				hookCalls['autoIndexer.query'] = {indexes, analysis};
+				hookDone();
+			})
+			.find({favourite: '5a4a8a8e1c9d440000a1b2c3'})
+			.exec(function(err, res) {
+				expect(err).to.be.not.ok;
+				expect(res).to.be.an('array');
+				expect(hookCalls['autoIndexer.query'].indexes).to.be.deep.equal([['favourite']]);
+				expect(hookCalls['autoIndexer.query'].analysis).to.deep.include({source: 'hook', join: true, promoted: true});
+				done();
+			});
+	});
+
+
+	it('should analyse the filters of count, distinct, update and delete operations', function(done) {
+		var hookCalls = {};
+		['users', 'gadgets'].forEach(id => monoxide.models[id]
+			.hook('autoIndexer.query', (hookDone, indexes, analysis) => {
+				hookCalls[analysis.operation] = indexes;
+				hookDone();
+			})
+		);
+
+		monoxide.models.users.count({role: 'user'}, (err, count) => {
+			expect(err).to.be.not.ok;
+			expect(count).to.equal(2);
+
+			monoxide.models.users.distinct('name', (err, names) => {
+				expect(err).to.be.not.ok;
+				expect(names).to.be.an('array');
+
+				monoxide.models.users.update({role: 'admin'}, {role: 'admin'}, err => {
+					expect(err).to.be.not.ok;
+
+					monoxide.models.gadgets.remove({name: 'Nothing'}, err => {
+						expect(err).to.be.not.ok;
+						expect(hookCalls).to.be.deep.equal({
+							count: [['role']],
+							distinct: [['name']],
+							update: [['role']],
+							delete: [['name']],
+						});
+						done();
+					});
+				});
+			});
+		});
+	});
+
+
+	it('should learn query shapes from profiler entries', function(done) {
+		var hookCalls = {};
+		monoxide.models.gadgets
+			.hook('autoIndexer.query', (hookDone, indexes, analysis) => {
+				hookCalls['autoIndexer.query'] = {indexes, analysis};
+				hookDone();
+			})
+
+		monoxide.ingestProfile([
+			{op: 'insert', ns: 'test.gadgets', command: {insert: 'gadgets', documents: [{name: 'Gadget'}]}, millis: 1},
+			{op: 'query', ns: 'test.gadgets', command: {find: 'gadgets', filter: {name: 'Gadget'}}, millis: 150},
+			{op: 'query', ns: 'test.unknown', command: {find: 'unknown', filter: {name: 'Gadget'}}, millis: 150},
+		], (err, count) => {
+			expect(err).to.be.not.ok;
+			expect(count).to.equal(1);
+			expect(hookCalls['autoIndexer.query'].indexes).to.be.deep.equal([['name']]);
+			expect(hookCalls['autoIndexer.query'].analysis).to.deep.include({source: 'profiler', millis: 150});
+			done();
+		});
+	});
+
+
+	it('should uninstall cleanly', function(done) {
+		monoxide.uninstallAutoIndexer(err => {
+			expect(err).to.be.not.ok;
+			expect(monoxide).to.not.have.property('cleanIndexes');
+			expect(monoxide).to.not.have.property('uninstallAutoIndexer');
+			_.forEach(monoxide.models, model => expect(_.get(model, '$hooks.query', [])).to.have.length(0));
+
+			monoxide.models.gadgets
+				.hook('autoIndexer.query', _.once(()=> done('should not analyse queries once uninstalled')))
+				.find({name: 'Gadget'})
+				.exec(function(err, res) {
+					expect(err).to.be.not.ok;
+					done();
+				});
+		});
+	});
+
+
+
+	it('should verify new indexes against the query plan', function(done) {
+		var hookCalls = {};
+		monoxide.models.widgets
+			.hook('autoIndexer.verify', (hookDone, model, index, mongoSpec, verification) => {
+				hookCalls['autoIndexer.verify'] = verification;
+				hookDone();
+			});
+
+		monoxide.use(monoxideAutoIndexer({verify: true, background: false}), err => {
+			expect(err).to.be.not.ok;
+
+			monoxide.models.widgets
+				.find({content: 'This is the crash widget'})
+				.exec(function(err, res) {
+					expect(err).to.be.not.ok;
+					expect(res).to.have.length(1);
+					expect(hookCalls['autoIndexer.verify']).to.deep.include({name: 'autoIndex_content_1', effective: true});
+					expect(hookCalls['autoIndexer.verify'].before.stages).to.include('COLLSCAN');
+					expect(hookCalls['autoIndexer.verify'].after.indexes).to.deep.equal(['autoIndex_content_1']);
+
+					monoxide.connection.db.collection('autoIndexerVerifications').findOne({_id: 'widgets.content'}, (err, doc) => {
+						expect(err).to.be.not.ok;
+						expect(doc).to.deep.include({collection: 'widgets', name: 'autoIndex_content_1', effective: true});
+						monoxide.uninstallAutoIndexer(done);
+					});
+				});
+		});
+	});
+
 });
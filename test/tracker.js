@@ -0,0 +1,86 @@
+var expect = require('chai').expect;
+var shapeTracker = require('../lib/tracker');
+
+describe('monoxide-auto-indexer - shape tracker', function() {
+
+	it('should promote shapes once they pass the threshold', ()=> {
+		var tracker = shapeTracker({threshold: 3});
+
+		expect(tracker.hit('users', '{role:equality}')).to.deep.include({shape: '{role:equality}', hits: 1, threshold: 3, promoted: false});
+		expect(tracker.hit('users', '{role:equality}')).to.have.property('promoted', false);
+		expect(tracker.hit('widgets', '{role:equality}')).to.have.property('hits', 1);
+		expect(tracker.hit('users', '{role:equality}')).to.deep.include({shape: '{role:equality}', hits: 3, threshold: 3, promoted: true});
+	});
+
+	it('should track fields which always use the same value', ()=> {
+		var tracker = shapeTracker();
+
+		expect(tracker.hit('users', '{deleted:equality,role:equality}', null, {deleted: false, role: 'admin'}))
+			.to.deep.include({total: 1, constants: {deleted: false, role: 'admin'}});
+
+		expect(tracker.hit('users', '{deleted:equality,role:equality}', null, {deleted: false, role: 'user'}))
+			.to.deep.include({total: 2, constants: {deleted: false}});
+
+		expect(tracker.hit('users', '{deleted:equality,role:equality}', null, {deleted: false, role: 'admin'}))
+			.to.deep.include({total: 3, constants: {deleted: false}});
+	});
+
+	it('should forget hits outside of the sliding window', ()=> {
+		var now = 1000 * 60 * 60 * 24;
+		var tracker = shapeTracker({
+			threshold: 2,
+			window: 1000 * 60, // 1m
+			buckets: 6,
+			now: ()=> now,
+		});
+
+		expect(tracker.hit('users', '{name:equality}')).to.have.property('hits', 1);
+
+		now += 1000 * 90; // 1.5m later
+		expect(tracker.hit('users', '{name:equality}')).to.deep.include({hits: 1, promoted: false});
+
+		now += 1000 * 30; // 30s later
+		expect(tracker.hit('users', '{name:equality}')).to.deep.include({hits: 2, promoted: true});
+
+		now += 1000 * 60 * 5; // 5m later
+		expect(tracker.status()).to.deep.equal({users: {}});
+	});
+
+	it('should forget shapes outside of the sliding window when hit', ()=> {
+		var now = 1000 * 60 * 60 * 24;
+		var tracker = shapeTracker({
+			window: 1000 * 60, // 1m
+			buckets: 6,
+			now: ()=> now,
+		});
+
+		tracker.hit('users', '{name:equality}');
+		tracker.hit('widgets', '{color:equality}');
+
+		now += 1000 * 30; // 30s later
+		tracker.hit('users', '{role:equality}');
+		expect(tracker.shapes.users).to.have.all.keys('{name:equality}', '{role:equality}');
+
+		now += 1000 * 45; // 1m15s after the first hits
+		tracker.hit('users', '{role:equality}');
+		expect(tracker.shapes).to.have.all.keys('users');
+		expect(tracker.shapes.users).to.have.all.keys('{role:equality}');
+	});
+
+	it('should report the status of all shapes', ()=> {
+		var tracker = shapeTracker({threshold: 2});
+
+		tracker.hit('users', '{role:equality}', {indexes: [['role']]});
+		tracker.hit('users', '{role:equality}');
+		tracker.hit('widgets', '{color:equality}');
+
+		var status = tracker.status();
+		expect(status).to.have.all.keys('users', 'widgets');
+		expect(status.users['{role:equality}']).to.deep.include({hits: 2, promoted: true, indexes: [['role']]});
+		expect(status.users['{role:equality}'].first).to.be.an.instanceOf(Date);
+		expect(status.widgets['{color:equality}']).to.deep.include({hits: 1, promoted: false});
+
+		expect(tracker.status('widgets')).to.have.all.keys('widgets');
+	});
+
+});
@@ -0,0 +1,102 @@
+var expect = require('chai').expect;
+var fakeDb = require('./fakes/db');
+var fakeMonoxide = require('./fakes/monoxide');
+var verify = require('../lib/verify');
+
+describe('monoxide-auto-indexer - verify', function() {
+
+	it('should extract the MongoDB filter from a Monoxide query', ()=> {
+		expect(verify.getFilter({
+			$collection: 'users',
+			$sort: 'name',
+			$limit: 10,
+			role: 'user',
+			$or: [{name: 'Joe'}, {name: 'Jane'}],
+		})).to.deep.equal({
+			role: 'user',
+			$or: [{name: 'Joe'}, {name: 'Jane'}],
+		});
+	});
+
+	it('should summarise explain output', ()=> {
+		expect(verify.summarise({
+			queryPlanner: {
+				winningPlan: {
+					stage: 'FETCH',
+					inputStage: {stage: 'IXSCAN', indexName: 'autoIndex_role_1'},
+				},
+			},
+			executionStats: {totalDocsExamined: 5, totalKeysExamined: 5},
+		})).to.deep.equal({docsExamined: 5, keysExamined: 5, indexes: ['autoIndex_role_1'], stages: ['FETCH', 'IXSCAN']});
+
+		expect(verify.summarise({
+			queryPlanner: {
+				winningPlan: {
+					queryPlan: {
+						stage: 'OR',
+						inputStages: [
+							{stage: 'IXSCAN', indexName: 'name_1'},
+							{stage: 'IXSCAN', indexName: 'role_1'},
+						],
+					},
+				},
+			},
+		})).to.deep.equal({docsExamined: 0, keysExamined: 0, indexes: ['name_1', 'role_1'], stages: ['OR', 'IXSCAN']});
+	});
+
+	it('should compare plans before and after building an index', ()=> {
+		var before = {docsExamined: 100, keysExamined: 0, indexes: [], stages: ['COLLSCAN']};
+
+		expect(verify.compare('autoIndex_role_1', before, {docsExamined: 5, keysExamined: 5, indexes: ['autoIndex_role_1'], stages: ['FETCH', 'IXSCAN']}))
+			.to.deep.include({name: 'autoIndex_role_1', effective: true, reason: 'Documents examined 100 → 5'});
+
+		expect(verify.compare('autoIndex_role_1', before, before))
+			.to.deep.include({effective: false, reason: 'Not used by the winning plan (COLLSCAN)'});
+
+		expect(verify.compare('autoIndex_role_1', before, {docsExamined: 50, keysExamined: 50, indexes: ['name_1'], stages: ['FETCH', 'IXSCAN']}))
+			.to.deep.include({effective: false, reason: 'Not used by the winning plan (used name_1)'});
+	});
+
+	it('should explain queries against the raw collection', done => {
+		var monoxide = fakeMonoxide({users: {indexes: [{name: 'autoIndex_role_1', key: {role: 1}}]}});
+
+		verify.explain(monoxide.models.users, {$collection: 'users', role: 'admin', $limit: 1}, [], (err, summary) => {
+			expect(err).to.be.not.ok;
+			expect(summary).to.deep.equal({docsExamined: 1, keysExamined: 1, indexes: ['autoIndex_role_1'], stages: ['FETCH', 'IXSCAN']});
+
+			verify.explain(monoxide.models.users, {$collection: 'users', name: 'Joe'}, ['-created'], (err, summary) => {
+				expect(err).to.be.not.ok;
+				expect(summary).to.deep.include({indexes: [], stages: ['COLLSCAN']});
+				done();
+			});
+		});
+	});
+
+	it('should save and load verification results', done => {
+		var db = fakeDb();
+		var store = verify.store({now: ()=> 1000});
+		var before = {docsExamined: 100, keysExamined: 0, indexes: [], stages: ['COLLSCAN']};
+
+		store.save(db, 'users', 'users.role', verify.compare('autoIndex_role_1', before, before), err => {
+			expect(err).to.be.not.ok;
+
+			store.save(db, 'users', 'users.role', verify.compare('autoIndex_role_1', before, {docsExamined: 5, keysExamined: 5, indexes: ['autoIndex_role_1'], stages: ['IXSCAN']}), err => {
+				expect(err).to.be.not.ok;
+
+				store.load(db, (err, res) => {
+					expect(err).to.be.not.ok;
+					expect(res).to.have.all.keys('users.role');
+					expect(res['users.role']).to.deep.include({
+						collection: 'users',
+						name: 'autoIndex_role_1',
+						effective: true,
+						reason: 'Documents examined 100 → 5',
+						verified: new Date(1000),
+					});
+					done();
+				});
+			});
+		});
+	});
+
+});